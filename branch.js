@@ -0,0 +1,82 @@
+import { execFileSync } from "child_process";
+
+// Marcadores del patrón: <type>, <scope>, <issue>, <slug> y <user>
+const DEFAULT_BRANCH_PATTERN = "<type>/<issue>-<slug>";
+
+// Longitud máxima de la parte descriptiva del nombre
+const SLUG_MAX_LENGTH = 40;
+
+const git = (gitArgs) => execFileSync("git", gitArgs, { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] });
+
+// "Login con Google (OAuth)" → "login-con-google-oauth"
+function slugify(text, maxLength = SLUG_MAX_LENGTH) {
+  const slug = text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (slug.length <= maxLength) return slug;
+
+  // Cortar en el último guion para no dejar palabras a medias
+  const cut = slug.slice(0, maxLength + 1);
+  return (cut.includes("-") ? cut.slice(0, cut.lastIndexOf("-")) : slug.slice(0, maxLength)).replace(/-+$/, "");
+}
+
+// Rellenar el patrón; los marcadores vacíos se eliminan junto con su separador
+function renderBranchName(pattern, values) {
+  const name = pattern.replace(/<(\w+)>/g, (_, key) => values[key] ?? "");
+  return name
+    .replace(/([/_.-])[_.-]+/g, "$1")
+    .replace(/[_.-]+\//g, "/")
+    .replace(/\/{2,}/g, "/")
+    .replace(/^[/_.-]+|[/_.-]+$/g, "");
+}
+
+// Nombre normalizado si git lo acepta como rama, o null
+function checkBranchName(name) {
+  try {
+    return git(["check-ref-format", "--branch", name]).trim();
+  } catch {
+    return null;
+  }
+}
+
+const branchExists = (name) => {
+  try {
+    git(["rev-parse", "-q", "--verify", `refs/heads/${name}`]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Usuario de git para el marcador <user>
+const gitUserSlug = () => {
+  try {
+    return slugify(git(["config", "user.name"]).trim(), 20);
+  } catch {
+    return "";
+  }
+};
+
+// Normalizar las sugerencias del modelo ({ type, scope, description }); se descartan los tipos no permitidos
+function readBranchSuggestions(suggestions, types) {
+  return suggestions
+    .map(({ type, scope, description }) => ({ type: type.trim().toLowerCase(), scope: slugify(scope, 20), description: description.trim() }))
+    .filter(({ type, description }) => types.includes(type) && description);
+}
+
+// Crear la rama y cambiarse a ella (los cambios sin commitear la acompañan)
+const switchToBranch = (name) => execFileSync("git", ["switch", "-c", name], { stdio: ["ignore", 2, 2] });
+
+export {
+  DEFAULT_BRANCH_PATTERN,
+  slugify,
+  renderBranchName,
+  checkBranchName,
+  branchExists,
+  gitUserSlug,
+  readBranchSuggestions,
+  switchToBranch
+}
@@ -0,0 +1,103 @@
+import { createHash } from "crypto";
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, unlinkSync, utimesSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+
+// Directorio de caché según XDG Base Directory ($XDG_CACHE_HOME o ~/.cache)
+const CACHE_DIR = path.join(process.env.XDG_CACHE_HOME || path.join(homedir(), ".cache"), "commitghiran");
+
+// Clave de una solicitud: hash de todo lo que determina la respuesta (modelo, mensajes...)
+const cacheKey = (parts) => createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+
+// Respuestas guardadas en disco, una por archivo; ttl y maxSize en milisegundos y bytes
+function createResponseCache({ dir = CACHE_DIR, ttl, maxSize }) {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  const listEntries = () => {
+    try {
+      return readdirSync(dir)
+        .filter(name => name.endsWith(".json"))
+        .map(name => {
+          const file = path.join(dir, name);
+          const { size, mtimeMs } = statSync(file);
+          return { file, size, mtimeMs };
+        });
+    } catch {
+      return [];
+    }
+  };
+
+  const remove = (file) => {
+    try {
+      unlinkSync(file);
+    } catch {
+      // Ya se borró (otra ejecución en paralelo)
+    }
+  };
+
+  // Quitar las respuestas vencidas y, si se supera maxSize, las usadas hace más tiempo
+  const prune = () => {
+    const now = Date.now();
+    const entries = listEntries().sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+      if (total <= maxSize && now - entry.mtimeMs <= ttl) continue;
+      remove(entry.file);
+      total -= entry.size;
+    }
+  };
+
+  const get = (key) => {
+    const file = fileFor(key);
+    try {
+      const { createdAt, response } = JSON.parse(readFileSync(file, "utf8"));
+      if (Date.now() - createdAt > ttl) {
+        remove(file);
+        return null;
+      }
+      // La fecha de modificación marca el último uso para el límite de tamaño
+      const now = new Date();
+      utimesSync(file, now, now);
+      return response;
+    } catch {
+      return null;
+    }
+  };
+
+  const set = (key, response) => {
+    try {
+      mkdirSync(dir, { recursive: true, mode: 0o700 });
+      writeFileSync(fileFor(key), JSON.stringify({ createdAt: Date.now(), response }), "utf8");
+      prune();
+    } catch {
+      // Sin caché se sigue funcionando igual
+    }
+  };
+
+  const has = (key) => get(key) !== null;
+
+  return { get, set, has };
+}
+
+// Borrar todas las respuestas guardadas; devuelve cuántas había
+function clearCache(dir = CACHE_DIR) {
+  let removed = 0;
+  try {
+    for (const name of readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue;
+      unlinkSync(path.join(dir, name));
+      removed++;
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return removed;
+}
+
+export {
+  CACHE_DIR,
+  cacheKey,
+  createResponseCache,
+  clearCache
+}
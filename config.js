@@ -0,0 +1,271 @@
+import { execSync } from "child_process";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+import { PROVIDERS, DEFAULT_PROVIDER } from "./providers/index.js";
+import { LOCALES, DEFAULT_LANG } from "./locales/index.js";
+import { DEFAULT_KEY_NAME } from "./credentials.js";
+import { GITMOJI_POSITIONS, GITMOJI_FORMATS, findGitmoji } from "./gitmoji.js";
+import { DEFAULT_ISSUE_PATTERNS, ISSUE_POSITIONS } from "./issues.js";
+import { DEFAULT_BRANCH_PATTERN } from "./branch.js";
+
+const GLOBAL_CONFIG_PATH = path.join(homedir(), ".commitconfig.json");
+const PROJECT_CONFIG_FILE = ".commitghiranrc";
+const PACKAGE_JSON_KEY = "commitghiran";
+
+const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore', 'build', 'ci', 'revert'];
+
+// Esquema de configuración: tipo, valor por defecto, variable de entorno y flag del CLI
+const CONFIG_SCHEMA = {
+  provider: { type: "string", enum: Object.keys(PROVIDERS), default: DEFAULT_PROVIDER, env: "COMMIT_PROVIDER", flag: "provider" },
+  model: { type: "string", env: "COMMIT_MODEL", flag: "model" },
+  baseUrl: { type: "string", env: "COMMIT_BASE_URL", flag: "base-url" },
+  keyName: { type: "string", pattern: /^[\w.-]+$/, default: DEFAULT_KEY_NAME, env: "COMMIT_KEY_NAME", flag: "key-name" },
+  lang: { type: "string", enum: Object.keys(LOCALES), default: DEFAULT_LANG, env: "COMMIT_LANG", flag: "lang" },
+  types: { type: "array", pattern: /^[a-z]+$/, default: COMMIT_TYPES, env: "COMMIT_TYPES", flag: "types" },
+  scopes: { type: "array", pattern: /^[\w./-]+$/, default: [], env: "COMMIT_SCOPES", flag: "scopes" },
+  inferScope: { type: "boolean", default: true, env: "COMMIT_INFER_SCOPE", flag: "infer-scope" },
+  commitlint: { type: "boolean", default: true, env: "COMMIT_COMMITLINT", flag: "commitlint" },
+  titleMaxLength: { type: "number", min: 10, max: 200, default: 50, env: "COMMIT_TITLE_MAX_LENGTH", flag: "title-max-length" },
+  gitmoji: { type: "boolean", default: false, env: "COMMIT_GITMOJI", flag: "gitmoji" },
+  gitmojiPosition: { type: "string", enum: GITMOJI_POSITIONS, default: "start", env: "COMMIT_GITMOJI_POSITION", flag: "gitmoji-position" },
+  gitmojiFormat: { type: "string", enum: GITMOJI_FORMATS, default: "emoji", env: "COMMIT_GITMOJI_FORMAT", flag: "gitmoji-format" },
+  gitmojiMap: { type: "map", default: {}, env: "COMMIT_GITMOJI_MAP", flag: "gitmoji-map" },
+  issuePatterns: { type: "array", regex: true, default: DEFAULT_ISSUE_PATTERNS, env: "COMMIT_ISSUE_PATTERNS", flag: "issue-patterns" },
+  issuePosition: { type: "string", enum: ISSUE_POSITIONS, default: "footer", env: "COMMIT_ISSUE_POSITION", flag: "issue-position" },
+  issueToken: { type: "string", pattern: /^[A-Za-z][\w-]*$/, default: "Refs", env: "COMMIT_ISSUE_TOKEN", flag: "issue-token" },
+  requireIssue: { type: "boolean", default: false, env: "COMMIT_REQUIRE_ISSUE", flag: "require-issue" },
+  history: { type: "boolean", default: true, env: "COMMIT_HISTORY", flag: "history" },
+  historyCount: { type: "number", min: 1, max: 20, integer: true, default: 5, env: "COMMIT_HISTORY_COUNT", flag: "history-count" },
+  historyMaxTokens: { type: "number", min: 0, integer: true, default: 600, env: "COMMIT_HISTORY_MAX_TOKENS", flag: "history-max-tokens" },
+  historyAuthor: { type: "string", env: "COMMIT_HISTORY_AUTHOR", flag: "history-author" },
+  historyPaths: { type: "array", default: [], env: "COMMIT_HISTORY_PATHS", flag: "history-paths" },
+  branchPattern: { type: "string", pattern: /<slug>/, default: DEFAULT_BRANCH_PATTERN, env: "COMMIT_BRANCH_PATTERN", flag: "branch-pattern" },
+  protectedBranches: { type: "array", pattern: /^[\w./*-]+$/, default: ["main", "master"], env: "COMMIT_PROTECTED_BRANCHES", flag: "protected-branches" },
+  temperature: { type: "number", min: 0, max: 2, default: 0.7, env: "COMMIT_TEMPERATURE", flag: "temperature" },
+  structuredOutput: { type: "boolean", default: true, env: "COMMIT_STRUCTURED_OUTPUT", flag: "structured-output" },
+  stream: { type: "boolean", default: true, env: "COMMIT_STREAM", flag: "stream" },
+  offline: { type: "boolean", default: false, env: "COMMIT_OFFLINE", flag: "offline" },
+  offlineFallback: { type: "boolean", default: true, env: "COMMIT_OFFLINE_FALLBACK", flag: "offline-fallback" },
+  listOptions: { type: "number", min: 1, max: 10, integer: true, default: 3, env: "COMMIT_LIST_OPTIONS", flag: "list-options" },
+  ignore: { type: "array", default: [], env: "COMMIT_IGNORE", flag: "ignore" },
+  contextWindow: { type: "number", min: 512, integer: true, env: "COMMIT_CONTEXT_WINDOW", flag: "context-window" },
+  concurrency: { type: "number", min: 1, max: 16, integer: true, default: 2, env: "COMMIT_CONCURRENCY", flag: "concurrency" },
+  retries: { type: "number", min: 0, max: 10, integer: true, default: 3, env: "COMMIT_MAX_RETRIES", flag: "retries" },
+  costThreshold: { type: "number", min: 0, env: "COMMIT_COST_THRESHOLD", flag: "cost-threshold" },
+  priceInput: { type: "number", min: 0, env: "COMMIT_PRICE_INPUT", flag: "price-input" },
+  priceOutput: { type: "number", min: 0, env: "COMMIT_PRICE_OUTPUT", flag: "price-output" },
+  cache: { type: "boolean", default: true, env: "COMMIT_CACHE", flag: "cache" },
+  cacheTtl: { type: "number", min: 0, default: 168, env: "COMMIT_CACHE_TTL", flag: "cache-ttl" },
+  cacheMaxSize: { type: "number", min: 1, default: 50, env: "COMMIT_CACHE_MAX_SIZE", flag: "cache-max-size" }
+};
+
+// API keys en texto plano de versiones anteriores (se migran al almacén seguro)
+const isSecretKey = (key) => /_API_KEY$/.test(key);
+
+// Convertir un valor de texto (env, flag o "config set") al tipo del esquema
+function coerceValue(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (typeof raw !== "string") return raw;
+
+  switch (spec.type) {
+    case "number":
+      return raw.trim() === "" ? NaN : Number(raw);
+    case "boolean":
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      return raw;
+    case "array":
+      return raw.split(",").map(item => item.trim()).filter(Boolean);
+    case "map":
+      // "feat=sparkles,fix=🐛"
+      return Object.fromEntries(raw.split(",").filter(item => item.trim()).map(item => {
+        const [name, ...value] = item.split("=");
+        return [name.trim(), value.join("=").trim()];
+      }));
+    default:
+      return raw;
+  }
+}
+
+// Configuración inválida o ilegible. issue describe el problema ({ rule, key, ... }, más source y file
+// si viene de una capa) para que la CLI arme el mensaje en su idioma (ver ui.configIssues)
+class ConfigError extends Error {
+  constructor(issue) {
+    super(`${issue.file ?? issue.source ?? "config"}: ${issue.rule}${issue.key ? ` (${issue.key})` : ""}`);
+    this.name = "ConfigError";
+    this.issue = issue;
+  }
+}
+
+// Validar un valor contra el esquema; devuelve el problema ({ rule, key, ... }) o null
+function validateValue(key, value) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) return { rule: "unknownKey", key };
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || !value) return { rule: "string", key };
+      if (spec.enum && !spec.enum.includes(value)) return { rule: "enum", key, values: spec.enum };
+      if (spec.pattern && !spec.pattern.test(value)) return { rule: "pattern", key, value };
+      return null;
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) return { rule: "number", key };
+      if (spec.integer && !Number.isInteger(value)) return { rule: "integer", key };
+      if (value < spec.min || value > spec.max) return { rule: "range", key, min: spec.min, max: spec.max };
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : { rule: "boolean", key };
+    case "array":
+      if (!Array.isArray(value) || value.some(item => typeof item !== "string")) return { rule: "list", key };
+      if (spec.pattern && value.some(item => !spec.pattern.test(item))) return { rule: "listPattern", key, values: value };
+      if (key === "types" && value.length === 0) return { rule: "empty", key };
+      if (spec.regex) {
+        for (const item of value) {
+          try {
+            new RegExp(item);
+          } catch {
+            return { rule: "regex", key, value: item };
+          }
+        }
+      }
+      return null;
+    case "map":
+      if (!value || typeof value !== "object" || Array.isArray(value)) return { rule: "map", key };
+      for (const [name, item] of Object.entries(value)) {
+        if (typeof item !== "string" || !findGitmoji(item)) return { rule: "gitmoji", key, name, value: item };
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Validar todos los valores de una capa; lanza un ConfigError indicando el origen
+function validateLayer(values, source, file) {
+  for (const [key, value] of Object.entries(values)) {
+    if (isSecretKey(key)) continue;
+    const issue = validateValue(key, value);
+    if (issue) throw new ConfigError({ ...issue, source, file });
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ConfigError({ rule: "readFailed", file, reason: error.message });
+  }
+}
+
+// Raíz del repositorio actual (o el directorio actual fuera de Git)
+function findProjectRoot() {
+  try {
+    return execSync("git rev-parse --show-toplevel", { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return process.cwd();
+  }
+}
+
+// Quitar las API keys de un objeto leído del archivo global
+const withoutSecrets = (values) =>
+  Object.fromEntries(Object.entries(values).filter(([key]) => !isSecretKey(key)));
+
+function loadGlobalConfig() {
+  return existsSync(GLOBAL_CONFIG_PATH) ? withoutSecrets(readJson(GLOBAL_CONFIG_PATH)) : {};
+}
+
+// Configuración del proyecto: .commitghiranrc o la clave "commitghiran" de package.json
+function loadProjectConfig(root = findProjectRoot()) {
+  const rcPath = path.join(root, PROJECT_CONFIG_FILE);
+  if (existsSync(rcPath)) {
+    return { file: rcPath, values: readJson(rcPath) };
+  }
+
+  const packagePath = path.join(root, "package.json");
+  if (existsSync(packagePath)) {
+    const values = readJson(packagePath)[PACKAGE_JSON_KEY];
+    if (values) return { file: `${packagePath}#${PACKAGE_JSON_KEY}`, values };
+  }
+
+  return { file: rcPath, values: {} };
+}
+
+function loadEnvConfig(env = process.env) {
+  const values = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (env[spec.env] !== undefined && env[spec.env] !== "") values[key] = coerceValue(key, env[spec.env]);
+  }
+  return values;
+}
+
+// Flags del CLI; los booleanos aceptan --flag y --no-flag
+function loadFlagConfig(args) {
+  const values = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.type === "boolean") {
+      if (args[`no-${spec.flag}`]) values[key] = false;
+      else if (args[spec.flag] !== undefined) values[key] = args[spec.flag] === true || coerceValue(key, args[spec.flag]);
+    } else if (typeof args[spec.flag] === "string") {
+      values[key] = coerceValue(key, args[spec.flag]);
+    }
+  }
+  return values;
+}
+
+// Combinar las capas: valores por defecto < global < proyecto < entorno < flags
+function loadConfig(args = {}) {
+  const project = loadProjectConfig();
+  const layers = [
+    ["global", loadGlobalConfig(), GLOBAL_CONFIG_PATH],
+    ["project", project.values, project.file],
+    ["env", loadEnvConfig()],
+    ["flag", loadFlagConfig(args)]
+  ];
+
+  const values = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.default !== undefined) {
+      values[key] = spec.default;
+      sources[key] = "default";
+    }
+  }
+
+  for (const [source, layerValues, file] of layers) {
+    validateLayer(layerValues, source, file);
+    for (const [key, value] of Object.entries(layerValues)) {
+      if (isSecretKey(key)) continue;
+      values[key] = value;
+      sources[key] = source;
+    }
+  }
+
+  return { values, sources };
+}
+
+// Guardar un ajuste en el archivo global o en el .commitghiranrc del proyecto
+function setConfigValue(key, raw, { project = false } = {}) {
+  if (!CONFIG_SCHEMA[key]) throw new ConfigError({ rule: "unknownKey", key });
+
+  const value = coerceValue(key, raw);
+  const issue = validateValue(key, value);
+  if (issue) throw new ConfigError(issue);
+
+  const file = project ? path.join(findProjectRoot(), PROJECT_CONFIG_FILE) : GLOBAL_CONFIG_PATH;
+  const current = existsSync(file) ? readJson(file) : {};
+  writeFileSync(file, JSON.stringify({ ...current, [key]: value }, null, 2) + "\n", "utf8");
+
+  return { file, value };
+}
+
+export {
+  GLOBAL_CONFIG_PATH,
+  PROJECT_CONFIG_FILE,
+  COMMIT_TYPES,
+  CONFIG_SCHEMA,
+  ConfigError,
+  findProjectRoot,
+  loadConfig,
+  setConfigValue
+}
@@ -0,0 +1,124 @@
+import { parseDiff, filePath } from "./diffParser.js";
+
+// Trailers que se sugieren en los prompts (cualquier token válido se acepta)
+const DEFAULT_TRAILERS = ["Refs", "Co-authored-by", "Reviewed-by"];
+
+const BREAKING_TOKEN = "BREAKING CHANGE";
+
+// Cabecera: tipo(scope)!: descripción
+const HEADER_PATTERN = /^(\w+)(?:\(([^()]*)\))?(!)?:\s*(.*)$/;
+
+// Footer: "Token: valor" o "Token #valor"; BREAKING CHANGE es el único token con espacio
+const FOOTER_PATTERN = /^(BREAKING CHANGE|BREAKING-CHANGE|[A-Za-z][\w-]*)(: | (?=#))(.*)$/;
+
+// Directorios contenedores que no aportan un scope útil
+const CONTAINER_DIRS = new Set(["src", "lib", "app", "source", "packages", "modules", "apps"]);
+
+// Especificación compartida por los prompts y la validación
+// examples: mensajes recientes del repositorio que se muestran como referencia de estilo
+function createCommitSpec({ types, titleMaxLength, scopes = [], trailers = DEFAULT_TRAILERS, suggestedScopes = [], examples = [] }) {
+  return { types, titleMaxLength, scopes, trailers, suggestedScopes, examples };
+}
+
+function parseHeader(line) {
+  const match = line.trim().match(HEADER_PATTERN);
+  if (!match) return null;
+
+  const [, type, scope, breaking, description] = match;
+  return {
+    type,
+    scope: scope?.trim() || null,
+    breaking: Boolean(breaking),
+    description: description.trim()
+  };
+}
+
+const formatHeader = ({ type, scope, breaking, description }) =>
+  `${type}${scope ? `(${scope})` : ""}${breaking ? "!" : ""}: ${description}`;
+
+// Separar los footers del final del mensaje (se aceptan sin línea en blanco previa)
+function splitFooters(lines) {
+  let start = lines.length;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (FOOTER_PATTERN.test(lines[i])) start = i;
+    else if (!(/^\s+\S/.test(lines[i]) && start === i + 1)) break;
+  }
+  // Las líneas de continuación sólo cuentan si hay un footer antes
+  while (start < lines.length && !FOOTER_PATTERN.test(lines[start])) start++;
+
+  const footers = [];
+  for (const line of lines.slice(start)) {
+    const match = line.match(FOOTER_PATTERN);
+    if (match) footers.push({ token: match[1].replace("BREAKING-CHANGE", BREAKING_TOKEN), separator: match[2], value: match[3].trim() });
+    else footers[footers.length - 1].value += `\n${line.trim()}`;
+  }
+
+  return { bodyLines: lines.slice(0, start), footers };
+}
+
+// Analizar un mensaje completo: cabecera, cuerpo y footers
+function parseCommitMessage(message) {
+  const lines = message.replace(/\r\n/g, "\n").trim().split("\n");
+  const header = parseHeader(lines[0] || "");
+  const { bodyLines, footers } = splitFooters(lines.slice(1));
+  const body = bodyLines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  const breakingFooter = footers.find(footer => footer.token === BREAKING_TOKEN);
+
+  return {
+    header,
+    title: lines[0]?.trim() || "",
+    body,
+    footers,
+    breaking: Boolean(header?.breaking || breakingFooter),
+    breakingDescription: breakingFooter?.value || null
+  };
+}
+
+const formatFooters = (footers) =>
+  footers.map(({ token, separator = ": ", value }) => `${token}${separator}${value.replace(/\n/g, "\n  ")}`).join("\n");
+
+// Cuerpo del commit con los footers separados por una línea en blanco
+function formatCommitBody({ body = "", footers = [] }) {
+  return [body, formatFooters(footers)].filter(Boolean).join("\n\n");
+}
+
+function formatCommitMessage(commit) {
+  return [formatHeader(commit.header), formatCommitBody(commit)].filter(Boolean).join("\n\n");
+}
+
+// Scope candidato de una ruta: primer directorio significativo o nombre del archivo
+function scopeFromPath(file) {
+  const parts = file.split("/");
+  const name = parts.pop().replace(/\..*$/, "");
+  const dirs = parts.filter((dir, index) => !CONTAINER_DIRS.has(dir) || index > 1);
+  return (dirs[0] || name).toLowerCase();
+}
+
+// Scopes sugeridos a partir de los archivos modificados, ordenados por líneas cambiadas
+function inferScopes(diff, { allowed = [], limit = 3 } = {}) {
+  const weights = new Map();
+  for (const file of parseDiff(diff)) {
+    const path = filePath(file);
+    if (!path) continue;
+    const scope = scopeFromPath(path);
+    if (allowed.length > 0 && !allowed.includes(scope)) continue;
+    weights.set(scope, (weights.get(scope) || 0) + file.additions + file.deletions + 1);
+  }
+
+  return [...weights.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([scope]) => scope);
+}
+
+export {
+  DEFAULT_TRAILERS,
+  BREAKING_TOKEN,
+  createCommitSpec,
+  parseHeader,
+  formatHeader,
+  parseCommitMessage,
+  formatCommitBody,
+  formatCommitMessage,
+  inferScopes
+}
@@ -0,0 +1,160 @@
+import { execFileSync } from "child_process";
+import { existsSync, readFileSync, writeFileSync, mkdirSync, chmodSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+
+const SERVICE = "CommitGhiranAi";
+const DEFAULT_KEY_NAME = "default";
+const CREDENTIALS_DIR = path.join(homedir(), ".commitghiran");
+const CREDENTIALS_FILE = path.join(CREDENTIALS_DIR, "credentials.json");
+
+// Cuenta con la que se guarda cada clave: "<proveedor>:<nombre>"
+const accountFor = (provider, name) => `${provider}:${name}`;
+
+// Resultado de isKeyringAvailable (se consulta una sola vez por ejecución)
+let keyringAvailable;
+
+// Verificar si el llavero del sistema (libsecret vía secret-tool) está disponible: secret-tool no tiene
+// --version, así que se hace una búsqueda real; falla si falta el binario, D-Bus o el servicio de secretos
+function isKeyringAvailable() {
+  if (keyringAvailable !== undefined) return keyringAvailable;
+  if (process.platform !== "linux" || !process.env.DBUS_SESSION_BUS_ADDRESS) return (keyringAvailable = false);
+  try {
+    execFileSync("secret-tool", ["search", "--all", "service", SERVICE], { stdio: "ignore", timeout: 5000 });
+    keyringAvailable = true;
+  } catch {
+    keyringAvailable = false;
+  }
+  return keyringAvailable;
+}
+
+const getCredentialBackend = () => isKeyringAvailable() ? "keyring" : "file";
+
+// El archivo guarda el índice de claves y, sin llavero, también las claves (permisos 0600)
+function readStore() {
+  if (!existsSync(CREDENTIALS_FILE)) return { keys: {} };
+  try {
+    return JSON.parse(readFileSync(CREDENTIALS_FILE, "utf8"));
+  } catch {
+    return { keys: {} };
+  }
+}
+
+function writeStore(store) {
+  mkdirSync(CREDENTIALS_DIR, { recursive: true, mode: 0o700 });
+  writeFileSync(CREDENTIALS_FILE, JSON.stringify(store, null, 2), { encoding: "utf8", mode: 0o600 });
+  // writeFileSync no cambia los permisos de un archivo existente
+  chmodSync(CREDENTIALS_FILE, 0o600);
+}
+
+function keyringStore(account, secret) {
+  execFileSync("secret-tool", ["store", `--label=${SERVICE} ${account}`, "service", SERVICE, "account", account], {
+    input: secret,
+    stdio: ["pipe", "ignore", "ignore"]
+  });
+}
+
+function keyringLookup(account) {
+  try {
+    return execFileSync("secret-tool", ["lookup", "service", SERVICE, "account", account], {
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"]
+    }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function keyringClear(account) {
+  try {
+    execFileSync("secret-tool", ["clear", "service", SERVICE, "account", account], { stdio: "ignore" });
+  } catch {
+    // La clave ya no estaba en el llavero
+  }
+}
+
+// Guardar una clave; si el llavero falla se usa el archivo protegido
+function saveCredential(provider, name, secret) {
+  const account = accountFor(provider, name);
+  const store = readStore();
+  let backend = getCredentialBackend();
+
+  if (backend === "keyring") {
+    try {
+      keyringStore(account, secret);
+    } catch {
+      backend = "file";
+    }
+  }
+
+  store.keys[account] = {
+    provider,
+    name,
+    backend,
+    savedAt: new Date().toISOString(),
+    ...(backend === "file" ? { secret } : {})
+  };
+  writeStore(store);
+
+  return { backend, file: CREDENTIALS_FILE };
+}
+
+function getCredential(provider, name = DEFAULT_KEY_NAME) {
+  const entry = readStore().keys[accountFor(provider, name)];
+  if (!entry) return null;
+  return entry.backend === "keyring" ? keyringLookup(accountFor(provider, name)) : entry.secret || null;
+}
+
+function deleteCredential(provider, name = DEFAULT_KEY_NAME) {
+  const account = accountFor(provider, name);
+  const store = readStore();
+  const entry = store.keys[account];
+  if (!entry) return false;
+
+  if (entry.backend === "keyring") keyringClear(account);
+  delete store.keys[account];
+  writeStore(store);
+  return true;
+}
+
+// Claves guardadas, sin exponer su valor
+function listCredentials() {
+  return Object.values(readStore().keys).map(({ provider, name, backend, savedAt }) => ({ provider, name, backend, savedAt }));
+}
+
+// Mover las claves en texto plano de ~/.commitconfig.json (versiones anteriores) al almacén seguro
+function migrateLegacyKeys(configPath, providers) {
+  if (!existsSync(configPath)) return [];
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, "utf8"));
+  } catch {
+    return [];
+  }
+
+  const migrated = [];
+  for (const provider of Object.values(providers)) {
+    const secret = provider.envVar && config[provider.envVar];
+    if (!secret) continue;
+    if (!getCredential(provider.name)) saveCredential(provider.name, DEFAULT_KEY_NAME, secret);
+    delete config[provider.envVar];
+    migrated.push(provider.name);
+  }
+
+  if (migrated.length > 0) {
+    writeFileSync(configPath, JSON.stringify(config, null, 2) + "\n", "utf8");
+  }
+  return migrated;
+}
+
+export {
+  DEFAULT_KEY_NAME,
+  CREDENTIALS_FILE,
+  getCredentialBackend,
+  saveCredential,
+  getCredential,
+  deleteCredential,
+  listCredentials,
+  migrateLegacyKeys
+}
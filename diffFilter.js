@@ -0,0 +1,77 @@
+import ignore from "ignore";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { parseDiff, fileText, filePath, summarizeFile } from "./diffParser.js";
+
+const COMMITIGNORE_FILE = ".commitignore";
+
+// Archivos que sólo aportan ruido al prompt (sintaxis de .gitignore)
+const DEFAULT_IGNORE = [
+  // Lockfiles
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "bun.lock",
+  "composer.lock",
+  "Gemfile.lock",
+  "Cargo.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "go.sum",
+  // Bundles minificados y source maps
+  "*.min.js",
+  "*.min.css",
+  "*.map",
+  // Snapshots de pruebas
+  "*.snap",
+  "__snapshots__/",
+  // Dependencias vendorizadas
+  "vendor/",
+  "third_party/",
+  "node_modules/"
+];
+
+// Leer los patrones del .commitignore del repositorio (ignora comentarios y líneas vacías)
+function loadCommitIgnore(repoRoot) {
+  const file = path.join(repoRoot, COMMITIGNORE_FILE);
+  if (!existsSync(file)) return [];
+
+  return readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"));
+}
+
+// Crear el filtro: valores por defecto, patrones configurados y .commitignore (en ese orden,
+// así "!package-lock.json" en el .commitignore vuelve a incluir un archivo ignorado por defecto)
+function createIgnoreMatcher({ repoRoot, patterns = [], useDefaults = true } = {}) {
+  const matcher = ignore();
+  if (useDefaults) matcher.add(DEFAULT_IGNORE);
+  matcher.add(patterns);
+  if (repoRoot) matcher.add(loadCommitIgnore(repoRoot));
+  return matcher;
+}
+
+// Reemplazar archivos ignorados y binarios por un resumen de una línea antes de armar el prompt
+function preprocessDiff(diff, matcher) {
+  const files = parseDiff(diff);
+  const kept = [];
+  const summaries = [];
+
+  for (const file of files) {
+    if (file.binary || matcher.ignores(filePath(file))) {
+      summaries.push(summarizeFile(file));
+    } else {
+      kept.push(fileText(file));
+    }
+  }
+
+  if (summaries.length === 0) return diff;
+
+  // Los resúmenes van antes del primer "diff --git" para que el chunking los conserve
+  return [...summaries, ...kept].join("\n");
+}
+
+export { COMMITIGNORE_FILE, DEFAULT_IGNORE, createIgnoreMatcher, preprocessDiff }
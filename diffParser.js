@@ -0,0 +1,113 @@
+// Parser del formato unificado de `git diff`: agrupa el diff por archivo y por hunk
+
+// Quitar comillas y el prefijo a/ o b/ de una ruta de git
+const cleanPath = (value) => {
+  const unquoted = value.trim().replace(/^"(.*)"$/, "$1");
+  return unquoted === "/dev/null" ? null : unquoted.replace(/^[ab]\//, "");
+};
+
+function createFile(gitHeader) {
+  const match = gitHeader.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+  return {
+    gitHeader,
+    headerLines: [],
+    oldPath: match ? match[1] : null,
+    newPath: match ? match[2] : null,
+    status: "modified",
+    binary: false,
+    hunks: [],
+    additions: 0,
+    deletions: 0
+  };
+}
+
+// Leer los metadatos de la cabecera de un archivo (modo, renombrado, rutas, binario)
+function parseHeaderLine(file, line) {
+  if (line.startsWith("new file mode")) file.status = "added";
+  else if (line.startsWith("deleted file mode")) file.status = "deleted";
+  else if (line.startsWith("rename from ")) {
+    file.status = "renamed";
+    file.oldPath = line.slice("rename from ".length);
+  } else if (line.startsWith("rename to ")) file.newPath = line.slice("rename to ".length);
+  else if (line.startsWith("--- ")) file.oldPath = cleanPath(line.slice(4));
+  else if (line.startsWith("+++ ")) file.newPath = cleanPath(line.slice(4));
+  else if (line.startsWith("Binary files ") || line === "GIT binary patch") file.binary = true;
+}
+
+// Convertir el texto de `git diff` en una lista de archivos con sus hunks
+function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of diff.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      file = createFile(line);
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) continue;
+
+    if (line.startsWith("@@")) {
+      hunk = { header: line, lines: [], additions: 0, deletions: 0 };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (hunk) {
+      // Dentro de un hunk toda línea empieza con " ", "+", "-" o "\"; la vacía es el final del diff
+      if (line === "") continue;
+      hunk.lines.push(line);
+      if (line.startsWith("+")) {
+        hunk.additions++;
+        file.additions++;
+      } else if (line.startsWith("-")) {
+        hunk.deletions++;
+        file.deletions++;
+      }
+      continue;
+    }
+
+    if (line === "") continue;
+    file.headerLines.push(line);
+    parseHeaderLine(file, line);
+  }
+
+  return files;
+}
+
+// Ruta con la que se muestra un archivo (la nueva, salvo en los borrados)
+const filePath = (file) => file.newPath || file.oldPath;
+
+// Cabecera del archivo (diff --git, index, ---/+++) para re-adjuntarla a sus hunks
+const fileHeaderText = (file) => [file.gitHeader, ...file.headerLines].join("\n");
+
+const hunkText = (hunk) => [hunk.header, ...hunk.lines].join("\n");
+
+const fileText = (file) => [fileHeaderText(file), ...file.hunks.map(hunkText)].join("\n");
+
+// Resumen de una línea: "changed: ruta (+N/−M)"
+const summarizeFile = (file) =>
+  `changed: ${filePath(file)} (+${file.additions}/−${file.deletions})${file.binary ? " [binary]" : ""}`;
+
+// Archivo de una línea de resumen (ver summarizeFile), o null si la línea no lo es
+function parseFileSummary(line) {
+  const match = line.match(/^changed: (.+) \(\+(\d+)\/−(\d+)\)( \[binary\])?$/);
+  if (!match) return null;
+  return {
+    oldPath: match[1],
+    newPath: match[1],
+    status: "modified",
+    binary: Boolean(match[4]),
+    hunks: [],
+    additions: Number(match[2]),
+    deletions: Number(match[3])
+  };
+}
+
+// Resumen de un hunk que no cabe en ningún chunk
+const summarizeHunk = (file, hunk) =>
+  `${hunk.header}\n[${summarizeFile({ ...file, additions: hunk.additions, deletions: hunk.deletions })}, hunk omitted]`;
+
+export { parseDiff, filePath, fileHeaderText, hunkText, fileText, summarizeFile, parseFileSummary, summarizeHunk }
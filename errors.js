@@ -0,0 +1,27 @@
+// Códigos de salida documentados del CLI (ver README)
+const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERAL: 1,            // Error inesperado o uso incorrecto de un subcomando
+  NOT_GIT_REPO: 2,       // El directorio actual no es un repositorio Git
+  NO_CHANGES: 3,         // No hay cambios preparados (sólo en --print/--json/--yes)
+  MISSING_API_KEY: 4,    // No hay API key y no se puede preguntar
+  API_ERROR: 5,          // El proveedor devolvió un error (red, auth, límites...)
+  GENERATION_FAILED: 6,  // No se obtuvo un mensaje válido tras los reintentos
+  COMMIT_FAILED: 7,      // git commit terminó con error
+  CANCELLED: 8,          // El usuario canceló la operación
+  INVALID_ARGS: 9,       // Opción, proveedor o idioma no válidos
+  MISSING_ISSUE: 10,     // Se exige un ticket y la rama no tiene ninguno (ni --issue)
+  PROTECTED_HISTORY: 11  // Reescribir commits publicados o de una rama protegida sin --force
+};
+
+// Error con código de salida que el punto de entrada convierte en process.exit
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.GENERAL, { cause } = {}) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+    if (cause) this.cause = cause;
+  }
+}
+
+export { EXIT_CODES, CliError }
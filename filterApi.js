@@ -1,34 +1,69 @@
-import { encode } from 'gpt-3-encoder';
 import inquirer from "inquirer";
 
-const FEE_PER_1K_TOKENS = 0.02;
-const MAX_TOKENS = 4000;
-//this is the approximate cost of a completion (answer) fee from CHATGPT
-const FEE_COMPLETION = 0.001;
+// Precios aproximados en USD por millón de tokens (entrada / salida); se usa el primero que coincide.
+// Para otros modelos o precios distintos se configuran priceInput y priceOutput
+const MODEL_PRICING = [
+  { match: /:free$/, input: 0, output: 0 },
+  { match: /gpt-4\.1-nano/, input: 0.1, output: 0.4 },
+  { match: /gpt-4\.1-mini/, input: 0.4, output: 1.6 },
+  { match: /gpt-4\.1/, input: 2, output: 8 },
+  { match: /gpt-4o-mini/, input: 0.15, output: 0.6 },
+  { match: /gpt-4o/, input: 2.5, output: 10 },
+  { match: /claude-3[.-]5-haiku/, input: 0.8, output: 4 },
+  { match: /claude-3[.-][57]-sonnet/, input: 3, output: 15 }
+];
 
-async function filterApi({ prompt, numCompletion = 1, filterFee }) {
-    const numTokens = encode(prompt).length;
-    const fee = numTokens / 1000 * FEE_PER_1K_TOKENS + (FEE_COMPLETION * numCompletion);
+// Tokens de respuesta que se suponen por solicitud en la estimación previa
+const EXPECTED_COMPLETION_TOKENS = 300;
 
-    if (numTokens > MAX_TOKENS) {
-        console.log("The commit diff is too large for the ChatGPT API. Max 4k tokens or ~8k characters. ");
-        return false;
-    }
+// Precio del modelo: el configurado, gratis en servidores locales, el de la tabla o null si se desconoce
+function getModelPricing(model = "", { local = false, input, output } = {}) {
+  if (input !== undefined || output !== undefined) return { input: input ?? 0, output: output ?? 0 };
+  if (local) return { input: 0, output: 0 };
 
-    if (filterFee) {
-        console.log(`This will cost you ~$${+fee.toFixed(3)} for using the API.`);
-        const answer = await inquirer.prompt([
-            {
-                type: "confirm",
-                name: "continue",
-                message: "Do you want to continue 💸?",
-                default: true,
-            },
-        ]);
-        if (!answer.continue) return false;
-    }
+  const id = String(model).toLowerCase();
+  const entry = MODEL_PRICING.find(({ match }) => match.test(id));
+  return entry ? { input: entry.input, output: entry.output } : null;
+}
+
+const costOf = ({ promptTokens, completionTokens }, pricing) =>
+  (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+
+// Sumar las solicitudes previstas (análisis por partes, consolidación...) y su costo
+function estimateCost(calls, pricing) {
+  const promptTokens = calls.reduce((total, call) => total + call.promptTokens, 0);
+  const completionTokens = calls.reduce((total, call) => total + call.completionTokens, 0);
+  return {
+    requests: calls.length,
+    promptTokens,
+    completionTokens,
+    cost: pricing ? costOf({ promptTokens, completionTokens }, pricing) : null
+  };
+}
 
-    return true;
-};
+const formatCost = (cost) => `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+// Pedir confirmación (💸) si la estimación alcanza el umbral; sin terminal no se puede confirmar
+async function filterApi({ estimate, threshold, interactive = true, message }) {
+  if (estimate.cost === null || threshold === undefined || estimate.cost < threshold) return true;
+  if (!interactive) return false;
+
+  const answer = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "continue",
+      message,
+      default: true
+    }
+  ]);
+  return answer.continue;
+}
 
-export { filterApi }
+export {
+  EXPECTED_COMPLETION_TOKENS,
+  getModelPricing,
+  costOf,
+  estimateCost,
+  formatCost,
+  filterApi
+}
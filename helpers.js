@@ -1,14 +1,25 @@
 import { execSync } from "child_process";
 
-const getArgs = () => {
+// switches: flags sin valor (y sus variantes --no-x), que nunca toman la palabra siguiente;
+// el resto acepta "--clave valor" o "--clave=valor"
+const getArgs = (switches = []) => {
   const args = process.argv.slice(2);
-  const result = {};
+  const result = { _: [] };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
-    const key = arg.replace(/^--/, '');
+    // Argumentos sin "--" son posicionales (subcomandos: hook install, etc.)
+    if (!/^--/.test(arg)) {
+      result._.push(arg);
+      continue;
+    }
+    const [key, ...inline] = arg.replace(/^--/, '').split('=');
+    if (inline.length > 0) {
+      result[key] = inline.join('=');
+      continue;
+    }
     const nextArg = args[i + 1];
-    if (/^--/.test(nextArg) || nextArg === undefined) {
+    if (switches.includes(key.replace(/^no-/, '')) || /^--/.test(nextArg) || nextArg === undefined) {
       result[key] = true;
     } else {
       result[key] = nextArg;
@@ -0,0 +1,118 @@
+import path from "path";
+import { parseDiff, filePath, parseFileSummary } from "./diffParser.js";
+import { formatHeader, inferScopes } from "./conventional.js";
+import { pathCategory } from "./split.js";
+
+// Viñetas del cuerpo: una por archivo hasta este límite, el resto se resume
+const MAX_BULLETS = 8;
+
+// Funciones como máximo en la viñeta de cada archivo
+const MAX_FUNCTIONS = 3;
+
+// Declaraciones que git muestra en el contexto de la cabecera del hunk ("@@ -1,5 +1,6 @@ function parseDiff(diff) {")
+const FUNCTION_PATTERNS = [
+  /\b(?:function\*?|def|func|fn|sub|class)\s+([A-Za-z_$][\w$]*)/,
+  /\b([A-Za-z_$][\w$]*)\s*[:=]\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /^\s*(?:(?:public|private|protected|static|async|export|default)\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/
+];
+
+// Palabras clave que el último patrón confundiría con un método ("if (...) {")
+const KEYWORDS = new Set(["if", "for", "while", "switch", "catch", "return", "function", "else", "do", "with"]);
+
+// Función del contexto de un hunk, o null si la cabecera no la indica
+function hunkFunction(hunk) {
+  const context = hunk.header.replace(/^@@[^@]*@@\s?/, "");
+  for (const pattern of FUNCTION_PATTERNS) {
+    const name = context.match(pattern)?.[1];
+    if (name && !KEYWORDS.has(name)) return name;
+  }
+  return null;
+}
+
+const fileFunctions = (file) => [...new Set(file.hunks.map(hunkFunction).filter(Boolean))].slice(0, MAX_FUNCTIONS);
+
+// Un archivo puede aparecer varias veces (en --split cada hunk trae su cabecera): se unen sus hunks
+function mergeFiles(files) {
+  const byPath = new Map();
+  for (const file of files) {
+    const merged = byPath.get(filePath(file));
+    if (!merged) {
+      byPath.set(filePath(file), { ...file, hunks: [...file.hunks] });
+      continue;
+    }
+    merged.hunks.push(...file.hunks);
+    merged.additions += file.additions;
+    merged.deletions += file.deletions;
+  }
+  return [...byPath.values()];
+}
+
+// Tipo del commit: docs/test/ci/build si todos los archivos son de esa categoría;
+// si no, feat cuando se agregan archivos y chore para borrados o modificaciones
+function inferType(files, types) {
+  const categories = new Set(files.map(file => pathCategory(filePath(file))));
+  const [category] = categories;
+  const code = files.filter(file => !pathCategory(filePath(file)));
+
+  const type = categories.size === 1 && category
+    ? category
+    : code.some(file => file.status === "added") ? "feat" : "chore";
+
+  if (types.includes(type)) return type;
+  return types.includes("chore") ? "chore" : types[0];
+}
+
+// Verbo de un conjunto de archivos: agregar/eliminar si todos coinciden, si no actualizar
+function inferVerb(files, phrases) {
+  if (files.every(file => file.status === "added")) return phrases.added;
+  if (files.every(file => file.status === "deleted")) return phrases.deleted;
+  return phrases.modified;
+}
+
+// Viñeta de un archivo con las funciones que cambian según las cabeceras de sus hunks
+function describeFile(file, phrases) {
+  if (file.status === "renamed") return phrases.renamed(file.oldPath, file.newPath);
+
+  const verb = file.status === "added" ? phrases.added : file.status === "deleted" ? phrases.deleted : phrases.modified;
+  const functions = file.status === "modified" ? fileFunctions(file) : [];
+  return `${verb} ${filePath(file)}${functions.length > 0 ? ` (${functions.join(", ")})` : ""}`;
+}
+
+// Archivos del diff filtrado: los del diff más los resumidos (lockfiles, binarios, ignorados)
+const diffFiles = (diff) => [
+  ...diff.split("\n").map(parseFileSummary).filter(Boolean),
+  ...parseDiff(diff).filter(file => filePath(file))
+];
+
+// Mensaje Conventional Commits sin modelo a partir del diff preparado (ya filtrado):
+// rutas → scope y tipo, archivos nuevos o borrados → feat/chore, cabeceras de hunk → viñetas.
+// phrases son los verbos del idioma (locale.heuristic) y type el tipo obligatorio, si lo hay;
+// devuelve { title, body } como el modelo, o null si el diff no contiene ningún archivo
+function generateHeuristicCommit(diff, { rules, phrases, type: requiredType }) {
+  const files = mergeFiles(diffFiles(diff));
+  if (files.length === 0) return null;
+
+  const type = requiredType ?? inferType(files, rules.types);
+
+  // Scope sólo si todos los archivos apuntan al mismo módulo (y no repite el tipo, como en docs(docs))
+  const scopes = inferScopes(diff, { allowed: rules.scopes, limit: Infinity });
+  const scope = scopes.length === 1 && scopes[0] !== type ? scopes[0] : undefined;
+
+  // Título: el archivo si es uno solo, si no la cantidad; se acorta si supera el límite
+  const [single] = files;
+  const specific = files.length === 1
+    ? single.status === "renamed"
+      ? phrases.renamed(path.basename(single.oldPath), path.basename(single.newPath))
+      : `${inferVerb(files, phrases)} ${path.basename(filePath(single))}`
+    : null;
+  const generic = `${inferVerb(files, phrases)} ${phrases.files(files.length)}`;
+
+  const description = [specific, generic].find(text => text && text.length <= rules.titleMaxLength) ?? generic;
+
+  const bullets = files.slice(0, MAX_BULLETS).map(file => `* ${describeFile(file, phrases)}`);
+  if (files.length > MAX_BULLETS) bullets.push(`* ${phrases.more(files.length - MAX_BULLETS)}`);
+
+  return { title: formatHeader({ type, scope, breaking: false, description }), body: bullets.join("\n") };
+}
+
+export { generateHeuristicCommit }
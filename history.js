@@ -0,0 +1,167 @@
+import { execFileSync } from "child_process";
+import { BREAKING_TOKEN, parseHeader, parseCommitMessage, formatCommitBody } from "./conventional.js";
+import { stripGitmoji } from "./gitmoji.js";
+
+// Secciones de Keep a Changelog (https://keepachangelog.com), en su orden
+const CHANGELOG_SECTIONS = ["added", "changed", "deprecated", "removed", "fixed", "security"];
+
+// Sección de cada tipo; los que no afectan al usuario (docs, test, chore, ci, build) no aparecen
+const TYPE_SECTIONS = {
+  feat: "added",
+  fix: "fixed",
+  perf: "changed",
+  refactor: "changed",
+  revert: "removed"
+};
+
+// Sección según el texto de la descripción, para tipos que Keep a Changelog distingue aparte
+const KEYWORD_SECTIONS = [
+  { section: "security", pattern: /\b(security|vulnerab\w*|cve-\d+|seguridad|segurança|xss|csrf)\b/i },
+  { section: "deprecated", pattern: /\b(deprecat\w*|obsolet[oae]s?|descontinuad[oa])\b/i }
+];
+
+// Los argumentos van sin shell: --base y el rango del changelog vienen del usuario.
+// --end-of-options evita que una revisión que empieza con "-" se lea como opción de git
+const git = (gitArgs, options = {}) => execFileSync("git", gitArgs, { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"], maxBuffer: 64 * 1024 * 1024, ...options });
+
+const tryGit = (gitArgs) => {
+  try {
+    return git(gitArgs).trim() || null;
+  } catch {
+    return null;
+  }
+};
+
+// Commits de un rango con una sola llamada a git (del más antiguo al más nuevo, sin merges)
+function readCommits(range) {
+  const output = git(["log", "--reverse", "--no-merges", "--format=%H%x00%s%x00%b%x1e", "--end-of-options", range]);
+  return output.split("\x1e").map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [sha, title, body] = entry.split("\0");
+    return { sha, title, body: body.trim(), header: parseHeader(stripGitmoji(title)) };
+  });
+}
+
+// Mensajes recientes del repositorio (sin merges), opcionalmente de un autor o de ciertas rutas
+function readRecentMessages({ limit = 50, author, paths = [] } = {}) {
+  const gitArgs = ["log", `-n${limit}`, "--no-merges", "--format=%B%x1e"];
+  if (author) gitArgs.push(`--author=${author}`);
+  if (paths.length > 0) gitArgs.push("--", ...paths);
+
+  try {
+    const output = execFileSync("git", gitArgs, { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] });
+    return output.split("\x1e").map(message => message.trim()).filter(Boolean);
+  } catch {
+    // Repositorio sin commits
+    return [];
+  }
+}
+
+// Ejemplos de estilo: mensajes Conventional Commits sin gitmoji ni trailers (salvo BREAKING CHANGE),
+// del más reciente al más antiguo, mientras quepan en maxTokens (measure cuenta la sección completa)
+function selectExamples(messages, { count, maxTokens, measure }) {
+  const selected = [];
+  const titles = new Set();
+
+  for (const message of messages) {
+    if (selected.length >= count) break;
+
+    const commit = parseCommitMessage(message);
+    const header = parseHeader(stripGitmoji(commit.title));
+    if (!header || titles.has(header.description)) continue;
+
+    const footers = commit.footers.filter(footer => footer.token === BREAKING_TOKEN);
+    const example = [stripGitmoji(commit.title), formatCommitBody({ body: commit.body, footers })].filter(Boolean).join("\n");
+    if (measure([...selected, example]) > maxTokens) continue;
+
+    selected.push(example);
+    titles.add(header.description);
+  }
+
+  return selected;
+}
+
+// Rama base por defecto: la rama por defecto del remoto, o main/master locales
+function resolveDefaultBase() {
+  const remoteHead = tryGit(["rev-parse", "--abbrev-ref", "origin/HEAD"]);
+  if (remoteHead && remoteHead !== "origin/HEAD") return remoteHead;
+  return ["main", "master"].find(name => tryGit(["rev-parse", "-q", "--verify", `refs/heads/${name}`])) || null;
+}
+
+const mergeBase = (base, head = "HEAD") => tryGit(["merge-base", "--end-of-options", base, head]);
+
+const rangeDiff = (from, to) => git(["diff", "--end-of-options", from, to]);
+
+// Última etiqueta alcanzable (inicio por defecto del changelog)
+const latestTag = (rev = "HEAD") => tryGit(["describe", "--tags", "--abbrev=0", "--end-of-options", rev]);
+
+// Etiqueta que apunta exactamente al commit (versión del changelog)
+const exactTag = (rev) => tryGit(["describe", "--tags", "--exact-match", "--end-of-options", rev]);
+
+// Fecha del commit en formato AAAA-MM-DD
+const commitDate = (rev) => tryGit(["log", "-1", "--format=%cs", "--end-of-options", rev]);
+
+const sectionFor = (header) => {
+  const keyword = KEYWORD_SECTIONS.find(({ pattern }) => pattern.test(header.description));
+  if (keyword && ["feat", "fix", "refactor", "perf", "chore"].includes(header.type)) return keyword.section;
+  return TYPE_SECTIONS[header.type] || null;
+};
+
+// Agrupar los commits por sección; los que no siguen Conventional Commits se listan en "changed",
+// igual que los cambios incompatibles de tipos que normalmente no aparecen (chore!, build!...)
+function groupChangelog(commits) {
+  const sections = Object.fromEntries(CHANGELOG_SECTIONS.map(name => [name, []]));
+
+  for (const commit of commits) {
+    const { header } = commit;
+    const breaking = Boolean(header?.breaking) || /^BREAKING[ -]CHANGE:/m.test(commit.body);
+    const entry = {
+      sha: commit.sha,
+      type: header?.type ?? null,
+      scope: header?.scope ?? null,
+      description: header?.description ?? commit.title,
+      breaking
+    };
+
+    const section = header ? sectionFor(header) : "changed";
+    if (section || breaking) sections[section || "changed"].push(entry);
+  }
+
+  return sections;
+}
+
+const formatEntry = (entry, breakingLabel) =>
+  `- ${entry.breaking ? `**${breakingLabel}** ` : ""}${entry.scope ? `**${entry.scope}:** ` : ""}${entry.description} (${entry.sha.slice(0, 7)})`;
+
+// Sección de Keep a Changelog en Markdown; labels trae los títulos traducidos de cada sección
+function formatChangelog(sections, { version, date, labels, breakingLabel }) {
+  const heading = version ? `## [${version}]${date ? ` - ${date}` : ""}` : `## [${labels.unreleased}]`;
+  const blocks = CHANGELOG_SECTIONS
+    .filter(name => sections[name].length > 0)
+    .map(name => `### ${labels[name]}\n\n${sections[name].map(entry => formatEntry(entry, breakingLabel)).join("\n")}`);
+
+  return [heading, ...blocks].join("\n\n");
+}
+
+// Respuesta del modelo para el PR: la primera línea es el título y el resto la descripción
+function parsePullRequest(text) {
+  const lines = text.replace(/\r\n/g, "\n").trim().replace(/^```(?:markdown|md)?\n([\s\S]*?)\n```$/, "$1").split("\n");
+  const start = lines.findIndex(line => line.trim());
+  const title = (lines[start] || "").replace(/^#+\s*/, "").replace(/^(title|t[ií]tulo):\s*/i, "").trim();
+  return { title, body: lines.slice(start + 1).join("\n").trim() };
+}
+
+export {
+  CHANGELOG_SECTIONS,
+  readCommits,
+  readRecentMessages,
+  selectExamples,
+  resolveDefaultBase,
+  mergeBase,
+  rangeDiff,
+  latestTag,
+  exactTag,
+  commitDate,
+  groupChangelog,
+  formatChangelog,
+  parsePullRequest
+}
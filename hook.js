@@ -0,0 +1,123 @@
+import { execSync } from "child_process";
+import { existsSync, readFileSync, writeFileSync, unlinkSync, mkdirSync, chmodSync, renameSync, statSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { EXIT_CODES } from "./errors.js";
+
+const HOOK_NAME = "prepare-commit-msg";
+const HOOK_MARKER = "# CommitGhiranAi prepare-commit-msg hook";
+const ENTRY_POINT = path.join(path.dirname(fileURLToPath(import.meta.url)), "index.js");
+
+// Orígenes del mensaje en los que no se genera nada:
+// -m/-F (message), plantilla (template), merge, squash y --amend/-c/-C (commit)
+const SKIPPED_SOURCES = ["message", "template", "merge", "squash", "commit"];
+
+// Escapar una ruta para usarla entre comillas dobles en sh
+const shellQuote = (value) => `"${String(value).replace(/(["\\$`])/g, "\\$1")}"`;
+
+// Directorio de hooks del repositorio, respetando core.hooksPath
+function getHooksDir() {
+  const topLevel = execSync("git rev-parse --show-toplevel", { encoding: "utf-8" }).trim();
+
+  let hooksPath = "";
+  try {
+    hooksPath = execSync("git config core.hooksPath", { encoding: "utf-8" }).trim();
+  } catch {
+    // core.hooksPath no está configurado
+  }
+
+  if (hooksPath) {
+    const expanded = hooksPath.replace(/^~(?=$|\/)/, homedir());
+    return path.resolve(topLevel, expanded);
+  }
+
+  const commonDir = execSync("git rev-parse --git-common-dir", { encoding: "utf-8" }).trim();
+  return path.resolve(commonDir, "hooks");
+}
+
+// Contenido del script que git ejecutará
+function buildHookScript() {
+  return `#!/bin/sh
+${HOOK_MARKER}
+# Generado por "CommitGhiranAi hook install". Elimínalo con "CommitGhiranAi hook uninstall".
+
+case "$2" in
+  ${SKIPPED_SOURCES.join("|")}) exit 0 ;;
+esac
+
+if [ -f ${shellQuote(ENTRY_POINT)} ]; then
+  ${shellQuote(process.execPath)} ${shellQuote(ENTRY_POINT)} hook run "$1" "$2" "$3" < /dev/null
+  # Sólo se bloquea el commit si falta el ticket obligatorio; otros errores no lo impiden
+  [ $? -eq ${EXIT_CODES.MISSING_ISSUE} ] && exit 1
+fi
+
+exit 0
+`;
+}
+
+const isOwnHook = (hookPath) =>
+  existsSync(hookPath) && readFileSync(hookPath, "utf8").includes(HOOK_MARKER);
+
+// Instalar el hook; un hook ajeno sólo se reemplaza con force (y se respalda).
+// core.hooksPath puede apuntar a algo que no es un directorio (p. ej. /dev/null para desactivar los hooks)
+function installHook({ force = false } = {}) {
+  const hooksDir = getHooksDir();
+  const hookPath = path.join(hooksDir, HOOK_NAME);
+  let backupPath = null;
+
+  if (existsSync(hooksDir) && !statSync(hooksDir).isDirectory()) {
+    return { installed: false, hookPath, hooksDir, reason: "notDirectory" };
+  }
+
+  if (existsSync(hookPath) && !isOwnHook(hookPath)) {
+    if (!force) {
+      return { installed: false, hookPath, reason: "exists" };
+    }
+    backupPath = `${hookPath}.backup`;
+    renameSync(hookPath, backupPath);
+  }
+
+  mkdirSync(hooksDir, { recursive: true });
+  writeFileSync(hookPath, buildHookScript(), "utf8");
+  chmodSync(hookPath, 0o755);
+
+  return { installed: true, hookPath, backupPath };
+}
+
+// Desinstalar el hook y restaurar el respaldo si existe
+function uninstallHook() {
+  const hookPath = path.join(getHooksDir(), HOOK_NAME);
+
+  if (!existsSync(hookPath)) {
+    return { removed: false, hookPath, reason: "missing" };
+  }
+  if (!isOwnHook(hookPath)) {
+    return { removed: false, hookPath, reason: "foreign" };
+  }
+
+  unlinkSync(hookPath);
+
+  const backupPath = `${hookPath}.backup`;
+  if (existsSync(backupPath)) {
+    renameSync(backupPath, hookPath);
+    return { removed: true, hookPath, restoredBackup: true };
+  }
+
+  return { removed: true, hookPath, restoredBackup: false };
+}
+
+// Indica si el hook debe ignorar este commit según el origen del mensaje
+const shouldSkipHook = (source) => SKIPPED_SOURCES.includes(source);
+
+// Línea de tijera de "git commit -v": lo que sigue es el diff, no parte del mensaje
+const SCISSORS_LINE = "# ------------------------ >8 ------------------------";
+
+// Verificar si el archivo ya trae un mensaje escrito (líneas que no son comentarios antes de la tijera)
+function hasUserMessage(content) {
+  const lines = content.split("\n");
+  const scissors = lines.indexOf(SCISSORS_LINE);
+  return lines.slice(0, scissors === -1 ? undefined : scissors).some(line => line.trim() && !line.startsWith("#"));
+}
+
+export { HOOK_NAME, installHook, uninstallHook, shouldSkipHook, hasUserMessage }
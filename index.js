@@ -2,292 +2,593 @@
 'use strict'
 
 import { execSync } from "child_process";
-import axios from "axios";
 import inquirer from "inquirer";
-import { writeFileSync, unlinkSync, existsSync, readFileSync } from "fs";
-import { tmpdir, homedir } from "os";
+import { writeFileSync, existsSync, readFileSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
 import path from "path";
 import * as dotenv from 'dotenv';
 import fs from 'fs';
 import os from 'os';
 import { getArgs, checkGitRepository } from "./helpers.js";
+import { installHook, uninstallHook, shouldSkipHook, hasUserMessage } from "./hook.js";
+import { EXIT_CODES, CliError } from "./errors.js";
+import { countTokens, getTokenBudget } from "./tokens.js";
+import { parseDiff, fileHeaderText, hunkText, fileText, summarizeFile, summarizeHunk } from "./diffParser.js";
+import { createIgnoreMatcher, preprocessDiff } from "./diffFilter.js";
+import { createScheduler } from "./scheduler.js";
+import { EXPECTED_COMPLETION_TOKENS, getModelPricing, costOf, estimateCost, formatCost, filterApi } from "./filterApi.js";
+import { localDate, readLedger, recordUsage, summarizeUsage } from "./usage.js";
+import { CACHE_DIR, cacheKey, createResponseCache, clearCache } from "./cache.js";
+import { SCHEMAS, readStructuredResponse, readPartialStrings } from "./schema.js";
+import { generateHeuristicCommit } from "./heuristic.js";
+import { createMessagePreview, createChunkProgress } from "./progress.js";
+import { onInterrupt, handleInterrupts } from "./interrupt.js";
+import { createClient, getProvider, PROVIDERS, ProviderError } from "./providers/index.js";
+import { UnsupportedLanguageError, getLocale, validateCommitLanguage } from "./locales/index.js";
+import { formatExamples } from "./locales/format.js";
+import { GLOBAL_CONFIG_PATH, CONFIG_SCHEMA, ConfigError, findProjectRoot, loadConfig, setConfigValue } from "./config.js";
+import { addGitmojiToCommitMessage, stripGitmoji } from "./gitmoji.js";
+import {
+  createCommitSpec,
+  parseHeader,
+  formatHeader,
+  parseCommitMessage,
+  formatCommitBody,
+  inferScopes
+} from "./conventional.js";
+import {
+  readStagedPatch,
+  buildUnits,
+  describeUnit,
+  fallbackPlan,
+  parsePlan,
+  groupDiff,
+  groupFiles,
+  snapshotRepository,
+  stageGroup,
+  restoreIndex,
+  restoreRepository
+} from "./split.js";
+import {
+  readCommit,
+  resolveHead,
+  commitDiff,
+  amendDiff,
+  resolveRange,
+  isAncestorOfHead,
+  commitsToReplay,
+  publishedIn,
+  isProtectedBranch,
+  rewriteMessages
+} from "./rewrite.js";
+import {
+  CHANGELOG_SECTIONS,
+  readCommits,
+  readRecentMessages,
+  selectExamples,
+  resolveDefaultBase,
+  mergeBase,
+  rangeDiff,
+  latestTag,
+  exactTag,
+  commitDate,
+  groupChangelog,
+  formatChangelog,
+  parsePullRequest
+} from "./history.js";
+import { rulesFromSpec, applyLintRulesToSpec, lintCommit, loadCommitlintConfig } from "./lint.js";
+import { getCurrentBranch, extractIssues, resolveIssues, linkIssues } from "./issues.js";
+import {
+  slugify,
+  renderBranchName,
+  checkBranchName,
+  branchExists,
+  gitUserSlug,
+  readBranchSuggestions,
+  switchToBranch
+} from "./branch.js";
+import {
+  CREDENTIALS_FILE,
+  getCredentialBackend,
+  saveCredential,
+  getCredential,
+  deleteCredential,
+  listCredentials,
+  migrateLegacyKeys
+} from "./credentials.js";
 
 dotenv.config();
 
-const args = getArgs();
-const REGENERATE_MSG = "♻️ Regenerar mensajes";
-const QWEN_MODEL = "openai/gpt-oss-20b:free";
-const ENV_VAR_NAME = "OPENROUTER_API_KEY";
-const CONFIG_PATH = path.join(homedir(), ".commitconfig.json");
+// Flags que no llevan valor: los booleanos de la configuración y los modos de cada comando
+const SWITCHES = [
+  ...Object.values(CONFIG_SCHEMA).filter(spec => spec.type === "boolean").map(spec => spec.flag),
+  "yes", "print", "json", "list", "force", "dry-run", "split", "amend", "switch", "all", "project", "models", "version", "ignore"
+];
 
-// Configuración de tokens
-const MAX_TOKEN_LENGTH = 13050; // Límite aproximado de tokens por solicitud
-const CHUNK_OVERLAP = 200; // Solapamiento entre chunks para mantener contexto
+const args = getArgs(SWITCHES);
 
-// Función para estimar tokens (aproximación simple)
-function estimateTokens(text) {
-  // Aproximación: 1 token ≈ 4 caracteres para texto en español
-  return Math.ceil(text.length / 4);
-}
+// Modos para scripts: --print, --json y --yes nunca muestran prompts
+const SCRIPT_MODE = Boolean(args.print || args.json || args.yes);
 
-// Función para validar que el mensaje esté en español
-function validateSpanishCommit(title, body) {
-  // Palabras clave en inglés que NO deben aparecer en commits
-  const englishKeywords = [
-    'add', 'added', 'adding', 'create', 'created', 'creating', 'update', 'updated', 'updating',
-    'fix', 'fixed', 'fixing', 'remove', 'removed', 'removing', 'delete', 'deleted', 'deleting',
-    'implement', 'implemented', 'implementing', 'improve', 'improved', 'improving',
-    'refactor', 'refactored', 'refactoring', 'change', 'changed', 'changing',
-    'modify', 'modified', 'modifying', 'enhance', 'enhanced', 'enhancing'
-  ];
-
-  // Palabras clave en español que SÍ deben aparecer
-  const spanishKeywords = [
-    'agregar', 'añadir', 'crear', 'actualizar', 'corregir', 'solucionar', 'arreglar',
-    'eliminar', 'remover', 'implementar', 'mejorar', 'refactorizar', 'cambiar',
-    'modificar', 'optimizar', 'configurar', 'integrar', 'desarrollar'
-  ];
-
-  const fullText = (title + ' ' + body).toLowerCase();
-  
-  // Verificar si contiene palabras en inglés
-  const hasEnglish = englishKeywords.some(keyword => 
-    fullText.includes(keyword.toLowerCase())
-  );
-  
-  // Verificar si contiene palabras en español
-  const hasSpanish = spanishKeywords.some(keyword => 
-    fullText.includes(keyword.toLowerCase())
-  );
+// En --print/--json stdout queda reservado para el resultado; el progreso va a stderr
+if (args.print || args.json) {
+  console.log = console.error;
+}
 
-  // Verificar que el título no esté en inglés
-  const titleLower = title.toLowerCase();
-  const isEnglishTitle = englishKeywords.some(keyword => 
-    titleLower.includes(keyword)
-  );
+// Función para estimar tokens con el tokenizador del modelo configurado
+function estimateTokens(text) {
+  return countTokens(text, client?.model);
+}
 
-  return {
-    isValid: !hasEnglish && !isEnglishTitle,
-    hasSpanish,
-    hasEnglish,
-    isEnglishTitle
-  };
+// Tokens disponibles para el diff dentro de una plantilla de prompt
+function availableTokensFor(template, reservedCompletion = budget.reservedCompletion) {
+  const overhead = estimateTokens(locale.systemPrompt(rules)) + estimateTokens(template(""));
+  return budget.contextWindow - reservedCompletion - overhead;
 }
 
-// Función para dividir el diff en chunks manejables
-function splitDiffIntoChunks(diff, maxTokens = MAX_TOKEN_LENGTH) {
-  const lines = diff.split('\n');
+// Función para dividir el diff en chunks respetando archivos y hunks
+function splitDiffIntoChunks(diff, maxTokens = availableTokensFor(chunk => locale.prompts.analyzeChunk(chunk, 0, 1, rules))) {
   const chunks = [];
   let currentChunk = [];
   let currentTokens = 0;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineTokens = estimateTokens(line);
-    
-    // Si una sola línea excede el límite, la dividimos
-    if (lineTokens > maxTokens) {
-      if (currentChunk.length > 0) {
-        chunks.push(currentChunk.join('\n'));
-        currentChunk = [];
-        currentTokens = 0;
-      }
-      
-      // Dividir línea muy larga
-      const longLineChunks = splitLongLine(line, maxTokens);
-      chunks.push(...longLineChunks);
+
+  const flushChunk = () => {
+    if (currentChunk.length > 0) {
+      chunks.push(currentChunk.join('\n'));
+      currentChunk = [];
+      currentTokens = 0;
+    }
+  };
+
+  // Agregar un bloque completo; si no cabe en el chunk actual se abre uno nuevo
+  const addBlock = (text) => {
+    const tokens = estimateTokens(text);
+    if (currentTokens + tokens > maxTokens) flushChunk();
+    currentChunk.push(text);
+    currentTokens += tokens;
+  };
+
+  // Resúmenes de archivos ignorados que preceden al primer archivo
+  const firstFile = diff.search(/^diff --git /m);
+  const preamble = (firstFile === -1 ? diff : diff.slice(0, firstFile)).trim();
+  if (preamble) addBlock(preamble);
+
+  for (const file of parseDiff(diff)) {
+    const text = fileText(file);
+    if (estimateTokens(text) <= maxTokens) {
+      addBlock(text);
       continue;
     }
-    
-    // Si agregar esta línea excede el límite, guardamos el chunk actual
-    if (currentTokens + lineTokens > maxTokens && currentChunk.length > 0) {
-      chunks.push(currentChunk.join('\n'));
-      
-      // Mantener solapamiento para contexto
-      const overlapLines = Math.min(5, currentChunk.length);
-      currentChunk = currentChunk.slice(-overlapLines);
-      currentTokens = estimateTokens(currentChunk.join('\n'));
+
+    // Archivo demasiado grande: se agrupan sus hunks repitiendo la cabecera del archivo
+    const header = fileHeaderText(file);
+    const headerTokens = estimateTokens(header);
+    let group = [];
+    let groupTokens = headerTokens;
+
+    const flushGroup = () => {
+      if (group.length > 0) addBlock([header, ...group].join('\n'));
+      group = [];
+      groupTokens = headerTokens;
+    };
+
+    for (const hunk of file.hunks) {
+      let hunkBlock = hunkText(hunk);
+      let hunkTokens = estimateTokens(hunkBlock);
+
+      // Un hunk que no cabe ni solo se resume con nombre y estadísticas
+      if (headerTokens + hunkTokens > maxTokens) {
+        hunkBlock = summarizeHunk(file, hunk);
+        hunkTokens = estimateTokens(hunkBlock);
+      }
+
+      if (groupTokens + hunkTokens > maxTokens) flushGroup();
+      group.push(hunkBlock);
+      groupTokens += hunkTokens;
     }
-    
-    currentChunk.push(line);
-    currentTokens += lineTokens;
-  }
-  
-  // Agregar el último chunk si no está vacío
-  if (currentChunk.length > 0) {
-    chunks.push(currentChunk.join('\n'));
+
+    flushGroup();
   }
-  
+
+  flushChunk();
   return chunks;
 }
 
-// Función para dividir líneas muy largas
-function splitLongLine(line, maxTokens) {
-  const chunks = [];
-  const maxLength = maxTokens * 4; // Convertir tokens a caracteres aproximados
-  
-  for (let i = 0; i < line.length; i += maxLength) {
-    chunks.push(line.substring(i, i + maxLength));
-  }
-  
-  return chunks;
+// Mensaje de un ConfigError en el idioma de text (ver ui.configIssues)
+const describeConfigError = ({ issue }, text) => issue.rule === "readFailed"
+  ? text.configReadFailed(issue.file, issue.reason)
+  : text.invalidConfig(text.configSources[issue.source] ?? issue.file, text.configIssues[issue.rule](issue));
+
+// Mensaje de un error del proveedor en el idioma de text (ver ui.providerErrors)
+function describeProviderError(error, text = ui) {
+  return error instanceof ProviderError && text.providerErrors[error.code]
+    ? text.providerErrors[error.code](error)
+    : error.message;
 }
 
-// Cargar la clave desde JSON local
-function loadApiKeyFromJson() {
-  if (existsSync(CONFIG_PATH)) {
+// Idioma de los errores de configuración: el de --lang o COMMIT_LANG si es válido, ya que el
+// valor inválido puede ser justamente el idioma; si no, el idioma por defecto
+function startupLocale() {
+  for (const lang of [args.lang, process.env.COMMIT_LANG]) {
     try {
-      const config = JSON.parse(readFileSync(CONFIG_PATH, "utf8"));
-      return config[ENV_VAR_NAME];
+      if (typeof lang === "string" && lang) return getLocale(lang);
     } catch {
-      return null;
+      // Idioma no soportado: se prueba el siguiente
     }
   }
-  return null;
+  return getLocale();
 }
 
-// Guardar la clave en JSON local
-function saveApiKeyToJson(apiKey) {
-  const config = { [ENV_VAR_NAME]: apiKey };
-  writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), "utf8");
-  console.log(`✅ Clave guardada en ${CONFIG_PATH}`);
+// Configuración por capas: global < .commitghiranrc/package.json < entorno (.env) < flags
+let config, configSources, provider, locale;
+try {
+  ({ values: config, sources: configSources } = loadConfig(args));
+  provider = getProvider(config.provider);
+  locale = getLocale(config.lang);
+} catch (error) {
+  const text = startupLocale().ui;
+  if (error instanceof ConfigError) console.error(describeConfigError(error, text));
+  else if (error instanceof UnsupportedLanguageError) console.error(text.unsupportedLang(error.lang, error.available));
+  else console.error(`⚠️ ${describeProviderError(error, text)}`);
+  process.exit(EXIT_CODES.INVALID_ARGS);
+}
+const ui = locale.ui;
+
+// Especificación de Conventional Commits compartida por los prompts y la validación
+const rules = createCommitSpec({ types: config.types, titleMaxLength: config.titleMaxLength, scopes: config.scopes });
+
+// Cola de solicitudes al proveedor
+const scheduler = createScheduler({
+  concurrency: config.concurrency,
+  retries: config.retries,
+  onRetry: ({ error, attempt, maxRetries, delay }) =>
+    console.warn(ui.retrying(attempt, maxRetries, Math.ceil(delay / 1000), describeProviderError(error)))
+});
+
+// Respuestas del modelo guardadas en disco (--no-cache las desactiva)
+const responseCache = createResponseCache({
+  ttl: config.cacheTtl * 60 * 60 * 1000,
+  maxSize: config.cacheMaxSize * 1024 * 1024
+});
+
+// Mostrar los modelos conocidos del proveedor
+if (args.models) {
+  console.log(ui.modelsHeader(provider.label, config.baseUrl || provider.baseURL));
+  provider.models.forEach(model => console.log(model === provider.defaultModel ? ui.modelsDefault(model) : `  - ${model}`));
+  process.exit(0);
 }
 
-// Obtener la API Key
-let OPENROUTER_API_KEY = process.env[ENV_VAR_NAME] || loadApiKeyFromJson();
-
-if (!OPENROUTER_API_KEY) {
-  const askForApiKey = async () => {
-    const { apiKey } = await inquirer.prompt([
-      {
-        type: 'password',
-        name: 'apiKey',
-        message: '🔑 Ingresa tu API key de OpenRouter:',
-        mask: '*',
-        validate: input => input.length > 10 || 'Debe ser una clave válida',
-      },
-    ]);
+// Las claves en texto plano de versiones anteriores pasan al almacén seguro
+const migratedProviders = migrateLegacyKeys(GLOBAL_CONFIG_PATH, PROVIDERS);
+if (migratedProviders.length > 0) {
+  console.log(ui.keysMigrated(migratedProviders.join(", "), getCredentialBackend()));
+}
 
-    saveApiKeyToJson(apiKey);
-    OPENROUTER_API_KEY = apiKey;
-  };
+// Pedir la API key al usuario
+async function askForApiKey() {
+  const { apiKey } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'apiKey',
+      message: ui.apiKeyPrompt(provider.label),
+      mask: '*',
+      validate: input => input.length > 10 || ui.apiKeyInvalid,
+    },
+  ]);
+  return apiKey;
+}
 
-  await askForApiKey();
+// Guardar la clave del proveedor actual con el nombre configurado
+function storeApiKey(apiKey) {
+  const { backend } = saveCredential(provider.name, config.keyName, apiKey);
+  console.log(ui.keySaved(provider.label, config.keyName, backend === "keyring" ? ui.backendKeyring : ui.backendFile(CREDENTIALS_FILE)));
 }
 
-console.log("API Key:", OPENROUTER_API_KEY ? "✅ Encontrada" : "❌ No encontrada");
-if (!OPENROUTER_API_KEY) {
-  console.error("⚠️ Debes configurar la variable OPENROUTER_API_KEY");
-  process.exit(1);
+// Obtener la API Key: variable de entorno o clave guardada (sólo se pregunta en modo interactivo)
+async function resolveApiKey({ interactive = true } = {}) {
+  const apiKey = (provider.envVar && process.env[provider.envVar]) || getCredential(provider.name, config.keyName);
+  if (apiKey || !provider.requiresApiKey || !interactive) return apiKey;
+
+  const answer = await askForApiKey();
+  storeApiKey(answer);
+  return answer;
 }
 
-const makeCommit = (title, body = "") => {
-  console.log("Creando commit... 🚀");
-  const message = body ? `${title}\n\n${body}` : title;
-  const tmpFilePath = path.join(tmpdir(), 'commit-msg.txt');
-  writeFileSync(tmpFilePath, message, 'utf8');
-  execSync(`git commit --file="${tmpFilePath}"`, { stdio: 'inherit' });
-  unlinkSync(tmpFilePath);
-  console.log("✅ Commit creado exitosamente");
+let client;
+let budget;
+// Precio del modelo en USD por millón de tokens (null si se desconoce)
+let pricing;
+// Sin terminal (hook, modo script) el costo no se puede confirmar
+let canConfirmCost = true;
+// Mostrar la respuesta a medida que llega (sólo en una terminal interactiva y con --stream)
+let liveOutput = false;
+
+// Preparar el cliente del proveedor antes de generar mensajes
+async function setupClient({ interactive = true } = {}) {
+  canConfirmCost = interactive;
+  liveOutput = interactive && config.stream && Boolean(process.stdout.isTTY);
+  const apiKey = await resolveApiKey({ interactive });
+
+  if (provider.requiresApiKey && !apiKey) {
+    throw new CliError(ui.missingApiKey(provider.envVar), EXIT_CODES.MISSING_API_KEY);
+  }
+
+  client = createClient({
+    provider: provider.name,
+    model: config.model,
+    baseURL: config.baseUrl,
+    temperature: config.temperature,
+    apiKey
+  });
+
+  // La ventana de contexto se puede ajustar para servidores locales (p. ej. num_ctx de Ollama)
+  budget = getTokenBudget(client.model, { contextWindow: config.contextWindow });
+
+  // Los servidores locales no tienen costo salvo que se configure un precio
+  pricing = getModelPricing(client.model, {
+    local: !provider.requiresApiKey,
+    input: config.priceInput,
+    output: config.priceOutput
+  });
+}
+
+// Generar sin modelo: con --offline o cuando el proveedor no está disponible (sin API key o con error)
+let offline = config.offline;
+
+// Pasar al generador sin modelo si el error es del proveedor y offlineFallback lo permite
+const fallBackToOffline = (error) => {
+  const unavailable = error instanceof CliError && [EXIT_CODES.API_ERROR, EXIT_CODES.MISSING_API_KEY].includes(error.exitCode);
+  if (!unavailable || !config.offlineFallback) throw error;
+
+  console.warn(error.message);
+  console.warn(ui.offlineFallback);
+  offline = true;
 };
 
-async function callQwenAPI(prompt) {
+// Preparar el cliente para generar mensajes de commit (sin modelo no hace falta)
+async function setupGenerator(options) {
+  if (offline) return;
   try {
-    const response = await axios.post(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        model: QWEN_MODEL,
-        messages: [
-          {
-            role: "system",
-            content:
-              "Eres un experto en mensajes de commit en ESPAÑOL ÚNICAMENTE. REGLAS ABSOLUTAS:\n" +
-              "1. TODOS los mensajes deben estar en español, NUNCA en inglés\n" +
-              "2. Título conciso (máx 50 caracteres) SIN acentos\n" +
-              "3. Cuerpo explicativo OBLIGATORIO en español\n" +
-              "4. Usa formato: '<tipo>: <descripción EN ESPAÑOL>'\n" +
-              "5. Lenguaje claro y técnico con viñetas EN ESPAÑOL\n" +
-              "6. Nunca incluyas 'Resuelve #123' o referencias similares a issues\n" +
-              "7. PROHÍBIDO usar palabras en inglés como 'add', 'fix', 'update', 'create', etc.\n" +
-              "8. Usa verbos en infinitivo en español: 'agregar', 'corregir', 'actualizar', 'crear'\n" +
-              "9. Si detectas inglés en tu respuesta, CORRIGE inmediatamente al español\n" +
-              "10. VALIDACIÓN: Cada mensaje debe sonar natural en español latino"
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7
-      },
-      {
-        headers: {
-          "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-          "Content-Type": "application/json",
-          "HTTP-Referer": "https://github.com",
-          "X-Title": "AI Commit"
-        },
-        timeout: 30000
-      }
-    );
-
-    return response.data.choices[0].message.content;
+    await setupClient(options);
   } catch (error) {
-    console.error("Error en la API:", error.response?.data || error.message);
-    process.exit(1);
+    fallBackToOffline(error);
   }
 }
 
-// Función para analizar chunks individualmente
-async function analyzeChunk(chunk, chunkIndex, totalChunks) {
-  const prompt = `Analiza este fragmento de cambios Git (parte ${chunkIndex + 1} de ${totalChunks}) y responde ÚNICAMENTE EN ESPAÑOL:
-
---- CONTEXTO ---
-Este es un fragmento de un diff más grande. Analiza SOLO este fragmento y describe EN ESPAÑOL:
-1. Tipo de cambios principales (feat, fix, docs, style, refactor, etc.)
-2. Componentes/archivos afectados
-3. Cambios específicos realizados
-4. Patrones o temas recurrentes
-
---- FRAGMENTO A ANALIZAR ---
-${chunk}
-
---- FORMATO DE RESPUESTA EN ESPAÑOL ---
-Responde en este formato JSON (TODO EN ESPAÑOL):
-{
-  "tipo_principal": "feat|fix|docs|style|refactor|perf|test|chore|build|ci|revert",
-  "componentes": ["componente1", "componente2"],
-  "cambios": [
-    "Cambio específico 1 EN ESPAÑOL",
-    "Cambio específico 2 EN ESPAÑOL"
-  ],
-  "contexto": "Breve descripción del propósito general EN ESPAÑOL"
-}
+// Generar con el modelo; si el proveedor no está disponible, con el generador sin modelo
+const withOfflineFallback = async (generate, fallback) => {
+  if (offline) return fallback();
+  try {
+    return await generate();
+  } catch (error) {
+    fallBackToOffline(error);
+    return fallback();
+  }
+};
 
-IMPORTANTE: Toda la respuesta debe estar en español. No uses palabras en inglés.`;
+const formatCommitMessage = (title, body = "") => body ? `${title}\n\n${body}` : title;
+
+// amend: reemplazar el mensaje (y el contenido) de HEAD con "git commit --amend"
+const makeCommit = (title, body = "", { amend = false } = {}) => {
+  console.log(ui.creatingCommit);
+  const message = formatCommitMessage(title, body);
+  // Directorio propio en cada commit: dos ejecuciones a la vez no comparten el archivo
+  const tmpDir = mkdtempSync(path.join(tmpdir(), 'commitghiran-'));
+  const tmpFilePath = path.join(tmpDir, 'commit-msg.txt');
+  const removeTmpDir = () => rmSync(tmpDir, { recursive: true, force: true });
+  const release = onInterrupt(removeTmpDir);
+  writeFileSync(tmpFilePath, message, 'utf8');
+  try {
+    // En modo script la salida de git va a stderr para no mezclarse con --print/--json
+    execSync(`git commit ${amend ? "--amend " : ""}--file="${tmpFilePath}"`, { stdio: SCRIPT_MODE ? ['ignore', 2, 2] : 'inherit' });
+  } catch (error) {
+    throw new CliError(ui.commitFailed, EXIT_CODES.COMMIT_FAILED, { cause: error });
+  } finally {
+    removeTmpDir();
+    release();
+  }
+  console.log(ui.commitCreated);
+};
+
+const buildMessages = (prompt, history = []) => [
+  { role: "system", content: locale.systemPrompt(rules) },
+  ...history,
+  { role: "user", content: prompt }
+];
+
+// Esquema que se envía al proveedor (con --no-structured-output sólo lo pide el prompt)
+const requestSchema = (schema) => config.structuredOutput ? schema : undefined;
+
+// Clave de caché de una solicitud (null con --no-cache)
+const responseKey = (messages, schema) => config.cache
+  ? cacheKey({ provider: client.provider.name, model: client.model, temperature: config.temperature, schema: requestSchema(schema)?.name, messages })
+  : null;
+
+// Claves pedidas en esta ejecución: repetir un paso final es regenerar y no se lee de la caché;
+// los pasos intermedios (análisis por partes) siempre se reutilizan
+const requestedKeys = new Set();
+
+const canReuse = (key, intermediate) => key !== null && (intermediate || !requestedKeys.has(key));
+
+// Solicitud prevista: el prompt con el de sistema y los tokens de respuesta esperados
+// (null si la respuesta saldrá de la caché)
+const requestEstimate = (prompt, completionTokens = EXPECTED_COMPLETION_TOKENS, { intermediate = false, schema } = {}) => {
+  const key = responseKey(buildMessages(prompt), schema);
+  if (canReuse(key, intermediate) && responseCache.has(key)) return null;
+
+  return {
+    promptTokens: estimateTokens(locale.systemPrompt(rules)) + estimateTokens(prompt),
+    completionTokens
+  };
+};
+
+const chunkEstimates = (chunks, totalChunks = chunks.length) =>
+  chunks.map((chunk, i) => requestEstimate(locale.prompts.analyzeChunk(chunk, i, totalChunks, rules), EXPECTED_COMPLETION_TOKENS, {
+    intermediate: true,
+    schema: SCHEMAS.chunkAnalysis
+  }));
+
+// El análisis consolidado aún no existe: se estima con uno vacío más lo que devuelve cada parte
+const EMPTY_ANALYSIS = { tipo_principal: "", componentes: [], cambios: [], contexto_general: "" };
+
+const consolidationEstimate = (analyzedChunks, template = analysis => locale.prompts.commitFromAnalysis(analysis, rules)) => {
+  const estimate = requestEstimate(template(EMPTY_ANALYSIS));
+  return { ...estimate, promptTokens: estimate.promptTokens + analyzedChunks * EXPECTED_COMPLETION_TOKENS };
+};
+
+// Mostrar el costo de todas las solicitudes previstas y confirmar si alcanza costThreshold;
+// sin terminal se cancela salvo con --yes
+const confirmCost = async (planned) => {
+  const calls = planned.filter(Boolean);
+  if (calls.length === 0) return;
+
+  const estimate = estimateCost(calls, pricing);
+  if (estimate.cost !== 0) {
+    const cost = estimate.cost === null ? null : formatCost(estimate.cost);
+    console.log(ui.costEstimate(estimate.requests, estimate.promptTokens + estimate.completionTokens, cost));
+  }
+  if (args.yes) return;
+
+  const proceed = await filterApi({
+    estimate,
+    threshold: config.costThreshold,
+    interactive: canConfirmCost,
+    message: ui.costConfirm(formatCost(estimate.cost ?? 0))
+  });
+  if (proceed) return;
+
+  if (!canConfirmCost) {
+    throw new CliError(ui.costAboveThreshold(formatCost(estimate.cost), formatCost(config.costThreshold)), EXIT_CODES.CANCELLED);
+  }
+  throw new CliError(ui.cancelled, EXIT_CODES.CANCELLED);
+};
+
+// Raíz del repositorio para el registro de uso (se calcula una sola vez)
+let usageRepo;
+
+// Registrar en el historial de uso los tokens y el costo que informa la API; si no los informa se estiman
+const trackUsage = (messages, response, reported) => {
+  const usage = reported ?? {
+    promptTokens: messages.reduce((total, message) => total + estimateTokens(message.content), 0),
+    completionTokens: estimateTokens(response),
+    cost: null
+  };
 
-  const response = await callQwenAPI(prompt);
-  
   try {
-    // Intentar parsear como JSON
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+    usageRepo ??= findProjectRoot();
+    recordUsage({
+      repo: usageRepo,
+      provider: client.provider.name,
+      model: client.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      cost: usage.cost ?? (pricing ? costOf(usage, pricing) : null),
+      estimated: !reported
+    });
+  } catch {
+    // El historial de uso nunca impide generar el mensaje
+  }
+};
+
+// Enviar el prompt al proveedor configurado
+// history: mensajes previos de la conversación (refinamientos del modo interactivo)
+// intermediate: la respuesta se reutiliza de la caché aunque se regenere el mensaje
+// schema: esquema JSON de la respuesta (ver schema.js)
+// onToken: recibe cada fragmento de la respuesta a medida que llega (streaming)
+// accept: sólo se guarda en la caché la respuesta que pasa las validaciones; una rechazada
+// se repetiría como primer intento en cada ejecución hasta que venza
+async function callQwenAPI(prompt, history = [], { intermediate = false, schema, onToken, accept = () => true } = {}) {
+  const messages = buildMessages(prompt, history);
+
+  const key = responseKey(messages, schema);
+  if (canReuse(key, intermediate)) {
+    requestedKeys.add(key);
+    const cached = responseCache.get(key);
+    if (cached !== null) {
+      if (!intermediate) console.log(ui.cachedResponse);
+      onToken?.(cached);
+      return cached;
     }
-  } catch (e) {
-    // Si no es JSON válido, crear estructura manual
-    console.warn(`⚠️ Respuesta no es JSON válido para chunk ${chunkIndex + 1}, procesando manualmente...`);
   }
-  
-  // Análisis manual si el JSON falla
+
+  let reported = null;
+  let response;
+  try {
+    response = await scheduler.run(() => client.chat(messages, {
+      schema: requestSchema(schema),
+      onUsage: usage => { reported = usage; },
+      ...(onToken && { onToken })
+    }));
+  } catch (error) {
+    throw new CliError(ui.apiError(describeProviderError(error)), EXIT_CODES.API_ERROR, { cause: error });
+  }
+
+  trackUsage(messages, response, reported);
+  if (key && accept(response)) responseCache.set(key, response);
+  return response;
+}
+
+// Pedir una respuesta JSON con el esquema; data es null si no lo cumple y errors explica por qué.
+// Sólo se guardan en la caché las respuestas que cumplen el esquema y accept(data)
+async function callStructuredAPI(prompt, schema, { history = [], intermediate = false, onToken, accept = () => true } = {}) {
+  let result = null;
+  const response = await callQwenAPI(prompt, history, {
+    intermediate,
+    schema,
+    onToken,
+    accept: text => {
+      result = readStructuredResponse(text, schema);
+      return result.data !== null && accept(result.data);
+    }
+  });
+  return { response, ...(result ?? readStructuredResponse(response, schema)) };
+}
+
+// Función para analizar chunks individualmente
+async function analyzeChunk(chunk, chunkIndex, totalChunks, onToken) {
+  const prompt = locale.prompts.analyzeChunk(chunk, chunkIndex, totalChunks, rules);
+
+  const { response, data } = await callStructuredAPI(prompt, SCHEMAS.chunkAnalysis, { intermediate: true, onToken });
+  if (data) return data;
+
+  // Análisis manual si la respuesta no cumple el esquema
+  console.warn(ui.chunkNotJson(chunkIndex + 1));
   return {
     tipo_principal: "chore",
-    componentes: ["codigo"],
-    cambios: [`Cambios en fragmento ${chunkIndex + 1}`],
+    componentes: [ui.chunkFallbackComponent],
+    cambios: [ui.chunkFallbackChange(chunkIndex + 1)],
     contexto: response.substring(0, 100) + "..."
   };
 }
 
+// Analizar varios chunks en paralelo informando el avance
+// (en la terminal, una línea con el estado de cada chunk que se actualiza con el streaming)
+async function analyzeChunks(chunks, totalChunks = chunks.length) {
+  let done = 0;
+  console.log(ui.analyzingChunks(chunks.length));
+
+  if (!liveOutput) {
+    return await Promise.all(chunks.map(async (chunk, i) => {
+      const analysis = await analyzeChunk(chunk, i, totalChunks);
+      console.log(ui.chunkAnalyzed(++done, chunks.length));
+      return analysis;
+    }));
+  }
+
+  const progress = createChunkProgress(chunks.length, ui.chunkProgress);
+  const release = onInterrupt(progress.end);
+  try {
+    return await Promise.all(chunks.map(async (chunk, i) => {
+      const analysis = await analyzeChunk(chunk, i, totalChunks, () => progress.token(i));
+      progress.done(i);
+      return analysis;
+    }));
+  } finally {
+    release();
+    progress.end();
+  }
+}
+
 // Función para consolidar análisis de múltiples chunks
 function consolidateAnalysis(analyses) {
   const tiposFrecuencia = {};
@@ -331,312 +632,1243 @@ function consolidateAnalysis(analyses) {
   };
 }
 
-const generateCommit = async (diff) => {
+// Agregar el gitmoji al título si está activado en la configuración
+const withGitmoji = (commit) => {
+  if (!config.gitmoji) return commit;
+  const title = addGitmojiToCommitMessage(commit.title, {
+    map: config.gitmojiMap,
+    position: config.gitmojiPosition,
+    format: config.gitmojiFormat,
+    breaking: Boolean(commit.breaking)
+  });
+  return { ...commit, title };
+};
+
+// Tickets del commit: --issue o los extraídos de la rama actual
+let issues = [];
+
+// Resolver los tickets antes de generar; si son obligatorios y no hay ninguno se bloquea el commit
+const loadIssues = () => {
+  issues = resolveIssues({ override: args.issue, patterns: config.issuePatterns });
+  if (config.requireIssue && issues.length === 0) {
+    throw new CliError(ui.issueRequired(getCurrentBranch()), EXIT_CODES.MISSING_ISSUE);
+  }
+};
+
+// Enlazar los tickets y agregar el gitmoji al mensaje generado
+const finalizeCommit = (commit) =>
+  withGitmoji({ ...commit, ...linkIssues(commit, issues, { position: config.issuePosition, token: config.issueToken }) });
+
+// Sugerir en los prompts los scopes de las rutas modificadas
+const suggestScopes = (diff) => {
+  rules.suggestedScopes = config.inferScope ? inferScopes(diff, { allowed: config.scopes }) : [];
+};
+
+// Mensajes recientes del repositorio para los ejemplos de estilo (se leen una sola vez)
+let recentMessages;
+
+const loadRecentMessages = () => {
+  if (recentMessages) return recentMessages;
+
+  // "me" filtra por el correo configurado en git
+  let author = config.historyAuthor;
+  if (author === "me") {
+    try {
+      author = execSync("git config user.email", { encoding: "utf-8" }).trim();
+    } catch {
+      author = undefined;
+    }
+  }
+  recentMessages = readRecentMessages({ author, paths: config.historyPaths });
+  return recentMessages;
+};
+
+// Ejemplos del historial en el espacio que deja libre el diff, hasta historyMaxTokens
+const selectStyleExamples = (diff, template, reservedCompletion) => {
+  rules.examples = [];
+  if (!config.history) return;
+
+  const room = Math.min(config.historyMaxTokens, availableTokensFor(template, reservedCompletion) - estimateTokens(diff));
+  if (room <= 0) return;
+
+  rules.examples = selectExamples(loadRecentMessages(), {
+    count: config.historyCount,
+    maxTokens: room,
+    measure: (examples) => estimateTokens(formatExamples(examples, locale.conventional.examples))
+  });
+  if (rules.examples.length > 0) console.log(ui.styleExamples(rules.examples.length));
+};
+
+// type: tipo obligatorio del mensaje (grupos de --split)
+const generateModelCommit = async (diff, { type } = {}) => {
+  suggestScopes(diff);
+  selectStyleExamples(diff, text => locale.prompts.singleCommit(text, rules));
   const diffTokens = estimateTokens(diff);
+  const maxDiffTokens = availableTokensFor(text => locale.prompts.singleCommit(text, rules));
   
-  console.log(`📊 Tokens estimados: ${diffTokens}`);
+  console.log(ui.estimatedTokens(diffTokens, maxDiffTokens));
   
-  if (diffTokens <= MAX_TOKEN_LENGTH) {
-    console.log("✅ Diff cabe en una sola solicitud");
-    return await generateSingleCommit(diff);
+  if (diffTokens <= maxDiffTokens) {
+    console.log(ui.fitsSingleRequest);
+    await confirmCost([requestEstimate(locale.prompts.singleCommit(diff, rules) + typePrompt(type), EXPECTED_COMPLETION_TOKENS, { schema: SCHEMAS.commit })]);
+    return finalizeCommit(await generateSingleCommit(diff, type));
   }
   
-  console.log("🔄 Diff muy largo, dividiendo en chunks...");
+  console.log(ui.splittingChunks);
   const chunks = splitDiffIntoChunks(diff);
-  console.log(`📦 Dividido en ${chunks.length} chunks`);
+  console.log(ui.chunksCreated(chunks.length));
+  await confirmCost([
+    ...chunkEstimates(chunks),
+    consolidationEstimate(chunks.length, analysis => locale.prompts.commitFromAnalysis(analysis, rules) + typePrompt(type))
+  ]);
   
-  // Analizar cada chunk
-  const analyses = [];
-  for (let i = 0; i < chunks.length; i++) {
-    console.log(`🔍 Analizando chunk ${i + 1}/${chunks.length}...`);
-    const analysis = await analyzeChunk(chunks[i], i, chunks.length);
-    analyses.push(analysis);
-    
-    // Pausa entre solicitudes para evitar rate limiting
-    if (i < chunks.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-  }
+  // Analizar los chunks en paralelo (la cola limita la concurrencia)
+  const analyses = await analyzeChunks(chunks);
   
   // Consolidar análisis
-  console.log("🔄 Consolidando análisis...");
+  console.log(ui.consolidating);
   const consolidatedAnalysis = consolidateAnalysis(analyses);
   
   // Generar commit final basado en análisis consolidado
-  return await generateCommitFromAnalysis(consolidatedAnalysis);
+  return finalizeCommit(await generateCommitFromAnalysis(consolidatedAnalysis, { type }));
 };
 
-// Función para generar commit de un diff simple
-async function generateSingleCommit(diff) {
-  const prompt = `Genera EXACTAMENTE 1 mensaje de commit profesional ÚNICAMENTE EN ESPAÑOL con estas REGLAS ABSOLUTAS:
-
---- FORMATO EXACTO (TODO EN ESPAÑOL) ---
-<tipo>: <título en español (max 50 chars, sin acentos)>
-* <viñeta 1 en infinitivo español - cambio principal OBLIGATORIO>
-* <viñeta 2 en español - cambio secundario RELEVANTE si aplica>
-* <viñeta N en español - detalles técnicos adicionales NECESARIOS>
-
---- TIPOS PERMITIDOS (SOLO ESTOS) ---
-feat    - Nueva funcionalidad
-fix     - Corrección de errores
-docs    - Documentación
-style   - Formato/estructura
-refactor- Reestructuración sin cambiar funcionalidad
-perf    - Mejora de rendimiento
-test    - Pruebas
-chore   - Mantenimiento
-build   - Sistema de compilación
-ci      - Integración continua
-revert  - Revertir cambios
-
---- REGLAS DE IDIOMA ESPAÑOL ---
-• PROHÍBIDO usar palabras en inglés como: add, fix, update, create, remove, etc.
-• USA SOLO verbos en español: agregar, corregir, actualizar, crear, eliminar, etc.
-• Toda descripción debe estar en español natural
-• Sin acentos en el título para compatibilidad
-• Cuerpo con viñetas detalladas en español
-
---- CAMBIOS A DOCUMENTAR ---
-${diff}
-
-Genera EXACTAMENTE 1 commit message EN ESPAÑOL siguiendo estas reglas.`;
-
-  let attempts = 0;
-  let title = "", body = "";
-
-  while (attempts < 5) {
-    const fullMessage = await callQwenAPI(prompt);
-    const [firstLine, ...rest] = fullMessage.split('\n').filter(Boolean);
-    title = firstLine.trim();
-    body = rest.join('\n').trim();
-
-    const commitType = title.split(':')[0].trim();
-    const validTypes = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore', 'build', 'ci', 'revert'];
-    
-    // Validar que esté en español
-    const spanishValidation = validateSpanishCommit(title, body);
-    
-    if (body.length > 0 && validTypes.includes(commitType) && spanishValidation.isValid) {
-      console.log("✅ Commit generado en español correctamente");
-      return { title, body };
+// Mensaje a partir de la respuesta JSON ({ title, body }); los footers se separan del cuerpo
+const parseGeneratedCommit = ({ title, body }) => {
+  const commit = parseCommitMessage(formatCommitMessage(title.trim(), body.trim()));
+  return { ...commit, header: parseHeader(stripGitmoji(commit.title)) };
+};
+
+// Mensaje final: cabecera normalizada y cuerpo con los footers
+const toCommitResult = (commit, attempts) => ({
+  title: formatHeader(commit.header),
+  body: formatCommitBody(commit),
+  scope: commit.header.scope,
+  breaking: commit.breaking,
+  attempts
+});
+
+// Reglas de validación: las de la especificación más las del commitlint del repositorio
+let lintRules = rulesFromSpec(rules);
+
+// Cargar commitlint.config.js/.commitlintrc; sus tipos y scopes pasan también a los prompts
+const setupLint = async () => {
+  if (!config.commitlint) return;
+
+  let commitlint;
+  try {
+    commitlint = await loadCommitlintConfig(findProjectRoot());
+  } catch (error) {
+    console.warn(ui.commitlintFailed(error.message));
+    return;
+  }
+  if (!commitlint) return;
+
+  Object.assign(rules, applyLintRulesToSpec(rules, commitlint.rules));
+  lintRules = { ...rulesFromSpec(rules), ...commitlint.rules };
+  console.log(ui.commitlintLoaded(commitlint.file));
+  if (commitlint.unresolved.length > 0) console.warn(ui.commitlintUnresolved(commitlint.unresolved.join(", ")));
+};
+
+// Validar el mensaje tal como se guardaría (cabecera normalizada, cuerpo y footers)
+const lintGeneratedCommit = (commit, overrides = {}) => {
+  const message = commit.header ? formatCommitMessage(formatHeader(commit.header), formatCommitBody(commit)) : commit.title;
+  return lintCommit(message, { ...lintRules, ...overrides });
+};
+
+// Idioma de la descripción y el cuerpo; el tipo ("fix", "refactor"...) y los footers no cuentan
+const checkLanguage = (commit) =>
+  validateCommitLanguage(commit.header?.description ?? commit.title, commit.body, locale);
+
+// Cabecera del commit, ignorando gitmoji
+const getCommitHeader = (title) => parseHeader(stripGitmoji(title));
+
+// Texto del mensaje que ya llegó dentro de la respuesta JSON ({ "title": ..., "body": ... })
+const previewCommit = (text) => {
+  const { title, body } = readPartialStrings(text, ["title", "body"]);
+  return formatCommitMessage(title, body);
+};
+
+// Pedir un mensaje mostrándolo en la terminal mientras se genera; con onToken (varias solicitudes
+// en paralelo) no hay vista previa y el avance lo muestra quien llama
+const streamCommit = async (prompt, { history, onToken, accept }) => {
+  if (onToken || !liveOutput) return callStructuredAPI(prompt, SCHEMAS.commit, { history, onToken, accept });
+
+  let received = "";
+  const preview = createMessagePreview(previewCommit);
+  const release = onInterrupt(preview.end);
+  try {
+    return await callStructuredAPI(prompt, SCHEMAS.commit, {
+      history,
+      accept,
+      onToken: delta => preview.update(received += delta)
+    });
+  } finally {
+    release();
+    preview.end();
+  }
+};
+
+// Validaciones de un mensaje generado: commitlint (más las reglas de lint) e idioma configurado
+const checkGeneratedCommit = (data, lint = {}) => {
+  const commit = parseGeneratedCommit(data);
+  return { commit, ...lintGeneratedCommit(commit, lint), languageValidation: checkLanguage(commit) };
+};
+
+const passesChecks = ({ errors, languageValidation }) => errors.length === 0 && languageValidation.isValid;
+
+// Analizar y validar cada respuesta; los problemas del intento anterior se envían al modelo en el siguiente
+// lint: reglas que se agregan a las de siempre (p. ej. el tipo exigido a un grupo de --split)
+// onToken: recibe los fragmentos en lugar de la vista previa (ver streamCommit)
+async function generateWithFeedback(basePrompt, { history = [], maxAttempts = 5, lint = {}, onToken } = {}) {
+  let prompt = basePrompt;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const accept = data => passesChecks(checkGeneratedCommit(data, lint));
+    const { response, data, errors: schemaErrors } = await streamCommit(prompt, { history, onToken, accept });
+
+    // Respuesta que no cumple el esquema: los errores van al feedback del siguiente intento
+    if (!data) {
+      console.warn(ui.attemptBadFormat(attempt));
+      schemaErrors.forEach(error => console.warn(ui.lintViolation("schema", error)));
+      prompt = basePrompt + locale.prompts.retryFeedback(response.trim(), schemaErrors.map(error => `${error} [schema]`));
+      continue;
     }
 
-    if (!spanishValidation.isValid) {
-      console.warn(`⚠️ Intento ${attempts + 1}: mensaje contiene inglés, regenerando en español...`);
-      if (spanishValidation.hasEnglish) {
-        console.warn("   - Detectadas palabras en inglés");
+    const checks = checkGeneratedCommit(data, lint);
+    const { commit, errors, warnings, languageValidation } = checks;
+
+    if (passesChecks(checks)) {
+      warnings.forEach(warning => console.warn(ui.lintViolation(warning.name, warning.message)));
+      console.log(ui.commitGenerated);
+      const conversation = [...history, { role: "user", content: prompt }, { role: "assistant", content: response }];
+      return { ...toCommitResult(commit, attempt), conversation };
+    }
+
+    const problems = errors.map(error => `${error.message} [${error.name}]`);
+    if (!languageValidation.isValid) {
+      console.warn(ui.attemptWrongLanguage(attempt));
+      if (languageValidation.hasForbidden) {
+        console.warn(ui.forbiddenWordsDetected);
       }
-      if (spanishValidation.isEnglishTitle) {
-        console.warn("   - Título en inglés detectado");
+      if (languageValidation.isForbiddenTitle) {
+        console.warn(ui.forbiddenTitleDetected);
       }
+      problems.push(locale.prompts.languageProblem);
     } else {
-      console.warn(`⚠️ Intento ${attempts + 1}: mensaje no cumple formato, reintentando...`);
+      console.warn(ui.attemptBadFormat(attempt));
     }
-    
-    attempts++;
+    errors.forEach(error => console.warn(ui.lintViolation(error.name, error.message)));
+
+    prompt = basePrompt + locale.prompts.retryFeedback(response.trim(), problems);
   }
 
-  console.error("❌ No se pudo generar un mensaje válido en español después de 5 intentos.");
-  process.exit(1);
+  throw new CliError(ui.generationFailed(maxAttempts), EXIT_CODES.GENERATION_FAILED);
 }
 
-// Función para generar commit basado en análisis consolidado
-async function generateCommitFromAnalysis(analysis) {
-  const prompt = `Genera un mensaje de commit profesional ÚNICAMENTE EN ESPAÑOL basado en este análisis consolidado:
-
---- ANÁLISIS CONSOLIDADO ---
-Tipo principal: ${analysis.tipo_principal}
-Componentes afectados: ${analysis.componentes.join(', ')}
-Cambios realizados:
-${analysis.cambios.map(c => `- ${c}`).join('\n')}
-
-Contexto general: ${analysis.contexto_general}
-
---- FORMATO REQUERIDO (TODO EN ESPAÑOL) ---
-<tipo>: <título en español (max 50 chars, sin acentos)>
-* <viñeta 1 en español - cambio principal más importante>
-* <viñeta 2 en español - cambio secundario relevante>
-* <viñeta N en español - detalles técnicos adicionales>
-
---- REGLAS ESTRICTAS DE IDIOMA ---
-1. Usa el tipo principal identificado: ${analysis.tipo_principal}
-2. Título conciso que resuma el cambio general EN ESPAÑOL
-3. Viñetas que expliquen los cambios más importantes EN ESPAÑOL
-4. Máximo 50 caracteres en el título
-5. Español sin acentos
-6. PROHÍBIDO usar palabras en inglés
-7. Usa verbos en infinitivo español: agregar, corregir, actualizar, crear, eliminar
-
-Genera el mensaje de commit EN ESPAÑOL:`;
-
-  let attempts = 0;
-  let title = "", body = "";
-
-  while (attempts < 5) {
-    const fullMessage = await callQwenAPI(prompt);
-    const [firstLine, ...rest] = fullMessage.split('\n').filter(Boolean);
-    title = firstLine.trim();
-    body = rest.join('\n').trim();
-
-    const commitType = title.split(':')[0].trim();
-    const validTypes = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore', 'build', 'ci', 'revert'];
-    
-    // Validar que esté en español
-    const spanishValidation = validateSpanishCommit(title, body);
+// Tipo exigido al mensaje (grupos de --split): se pide en el prompt y type-enum lo comprueba,
+// así un tipo distinto vuelve al modelo como feedback
+const typePrompt = (type) => type ? locale.prompts.requiredType(type) : "";
+const typeLint = (type) => type ? { "type-enum": [2, "always", [type]] } : {};
 
-    if (body.length > 0 && validTypes.includes(commitType) && spanishValidation.isValid) {
-      console.log("✅ Commit generado en español correctamente");
-      return { title, body };
-    }
+// Función para generar commit de un diff simple
+const generateSingleCommit = (diff, type) =>
+  generateWithFeedback(locale.prompts.singleCommit(diff, rules) + typePrompt(type), { lint: typeLint(type) });
 
-    if (!spanishValidation.isValid) {
-      console.warn(`⚠️ Intento ${attempts + 1}: mensaje contiene inglés, regenerando en español...`);
-    } else {
-      console.warn(`⚠️ Intento ${attempts + 1}: mensaje no cumple formato, reintentando...`);
-    }
-    
-    attempts++;
+// Función para generar commit basado en análisis consolidado
+const generateCommitFromAnalysis = (analysis, { type, onToken } = {}) =>
+  generateWithFeedback(locale.prompts.commitFromAnalysis(analysis, rules) + typePrompt(type), { lint: typeLint(type), onToken });
+
+// Mensaje sin modelo (ver heuristic.js), con las mismas validaciones que las respuestas del modelo
+const generateOfflineCommit = (diff, { type } = {}) => {
+  console.log(ui.offlineGenerating);
+  const generated = generateHeuristicCommit(diff, { rules, phrases: locale.heuristic, type });
+  if (!generated) throw new CliError(ui.offlineEmpty, EXIT_CODES.GENERATION_FAILED);
+
+  const commit = parseGeneratedCommit(generated);
+  const { errors, warnings } = lintGeneratedCommit(commit);
+  const languageValidation = checkLanguage(commit);
+
+  if (errors.length > 0 || !languageValidation.isValid) {
+    errors.forEach(error => console.warn(ui.lintViolation(error.name, error.message)));
+    if (!languageValidation.isValid) console.warn(ui.forbiddenWordsDetected);
+    throw new CliError(ui.offlineInvalid, EXIT_CODES.GENERATION_FAILED);
   }
 
-  console.error("❌ No se pudo generar un mensaje válido en español después de 5 intentos.");
-  process.exit(1);
-}
+  warnings.forEach(warning => console.warn(ui.lintViolation(warning.name, warning.message)));
+  console.log(ui.commitGenerated);
+  return finalizeCommit(toCommitResult(commit, 1));
+};
+
+const generateCommit = (diff, options) =>
+  withOfflineFallback(() => generateModelCommit(diff, options), () => generateOfflineCommit(diff, options));
 
-const generateListCommits = async (diff, numOptions = "3") => {
+const generateModelListCommits = async (diff, numOptions) => {
+  suggestScopes(diff);
+  selectStyleExamples(diff, text => locale.prompts.listCommits(text, numOptions, rules), budget.reservedCompletion * parseInt(numOptions));
   const diffTokens = estimateTokens(diff);
+  // Varias opciones en una respuesta: se reserva espacio para cada una
+  const maxDiffTokens = availableTokensFor(
+    text => locale.prompts.listCommits(text, numOptions, rules),
+    budget.reservedCompletion * parseInt(numOptions)
+  );
   
-  if (diffTokens > MAX_TOKEN_LENGTH) {
-    console.log("⚠️ Diff muy largo para generar múltiples opciones, usando análisis por chunks...");
+  if (diffTokens > maxDiffTokens) {
+    console.log(ui.listTooLong);
     const chunks = splitDiffIntoChunks(diff);
+    const analyzed = chunks.slice(0, 3);
+    await confirmCost([
+      ...chunkEstimates(analyzed, chunks.length),
+      ...Array.from({ length: parseInt(numOptions) }, () => consolidationEstimate(analyzed.length))
+    ]);
     
     // Para opciones múltiples con diff largo, generar análisis simplificado
-    const analyses = [];
-    for (let i = 0; i < Math.min(chunks.length, 3); i++) {
-      const analysis = await analyzeChunk(chunks[i], i, chunks.length);
-      analyses.push(analysis);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+    const analyses = await analyzeChunks(analyzed, chunks.length);
     
     const consolidatedAnalysis = consolidateAnalysis(analyses);
     
-    // Generar opciones basadas en análisis consolidado
-    const options = [];
-    for (let i = 0; i < parseInt(numOptions); i++) {
-      const commit = await generateCommitFromAnalysis(consolidatedAnalysis);
-      options.push(commit);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    // Generar opciones basadas en análisis consolidado; se piden en paralelo, así que en la terminal
+    // se muestra una línea de avance en lugar de la vista previa de cada una
+    const total = parseInt(numOptions);
+    const progress = liveOutput ? createChunkProgress(total, ui.optionProgress) : null;
+    const release = progress ? onInterrupt(progress.end) : () => {};
+    try {
+      const options = await Promise.all(Array.from({ length: total }, async (_, i) => {
+        const option = await generateCommitFromAnalysis(consolidatedAnalysis, progress ? { onToken: () => progress.token(i) } : {});
+        progress?.done(i);
+        return option;
+      }));
+      return options.map(finalizeCommit);
+    } finally {
+      release();
+      progress?.end();
     }
-    
-    return options;
   }
 
   // Diff normal, usar método original
-  const prompt = `Genera EXACTAMENTE ${numOptions} opciones de mensajes de commit SEMÁNTICOS ÚNICAMENTE EN ESPAÑOL para estos cambios:
+  const basePrompt = locale.prompts.listCommits(diff, numOptions, rules);
+  await confirmCost([requestEstimate(basePrompt, EXPECTED_COMPLETION_TOKENS * parseInt(numOptions), { schema: SCHEMAS.commitList })]);
 
---- CAMBIOS A COMMITIR ---
-${diff}
-
---- FORMATO REQUERIDO (TODO EN ESPAÑOL) ---
-Para cada opción, usa el formato:
-<tipo>: <título EN ESPAÑOL>|||<cuerpo con viñetas EN ESPAÑOL>
-
-Ejemplo correcto:
-feat: Implementar autenticacion biometrica|||* Añadir soporte para huella digital
-* Integrar API de FaceID
-* Crear tests de seguridad
-
---- REGLAS ESTRICTAS DE IDIOMA ---
-• PROHÍBIDO usar palabras en inglés como: add, fix, update, create, remove, etc.
-• USA SOLO verbos en español: agregar, corregir, actualizar, crear, eliminar, etc.
-• Toda descripción debe estar en español natural
-• Sin acentos en el título para compatibilidad
-• Cuerpo con viñetas detalladas en español
-
-Genera ${numOptions} opciones diferentes EN ESPAÑOL:`;
-
-  let attempts = 0;
+  let prompt = basePrompt;
   let validOptions = [];
 
-  while (attempts < 3 && validOptions.length < parseInt(numOptions)) {
-    const response = await callQwenAPI(prompt);
-    const options = response.split('\n')
-      .filter(opt => opt.includes('|||'))
-      .map(opt => {
-        const [title, body] = opt.split('|||');
-        return {
-          title: title.trim(),
-          body: body?.trim() || ""
-        };
-      });
-
-    // Validar que todas las opciones estén en español
-    for (const option of options) {
-      const spanishValidation = validateSpanishCommit(option.title, option.body);
-      if (spanishValidation.isValid && validOptions.length < parseInt(numOptions)) {
-        validOptions.push(option);
+  for (let attempt = 1; attempt <= 3 && validOptions.length < parseInt(numOptions); attempt++) {
+    // En las opciones de la lista el cuerpo es opcional; la respuesta se guarda si todas son válidas
+    const { response, data, errors: schemaErrors } = await callStructuredAPI(prompt, SCHEMAS.commitList, {
+      accept: data => data.options.every(generated => passesChecks(checkGeneratedCommit(generated, { "body-empty": [0] })))
+    });
+    if (!data) {
+      console.warn(ui.attemptBadFormat(attempt));
+      schemaErrors.forEach(error => console.warn(ui.lintViolation("schema", error)));
+      prompt = basePrompt + locale.prompts.retryFeedback(response.trim(), schemaErrors.map(error => `${error} [schema]`));
+      continue;
+    }
+    prompt = basePrompt;
+
+    // Validar que todas las opciones estén en el idioma configurado
+    for (const generated of data.options) {
+      const checks = checkGeneratedCommit(generated, { "body-empty": [0] });
+      const option = checks.commit;
+      if (passesChecks(checks) && validOptions.length < parseInt(numOptions)) {
+        const conversation = [
+          { role: "user", content: basePrompt },
+          { role: "assistant", content: JSON.stringify(generated) }
+        ];
+        validOptions.push({ ...toCommitResult(option, attempt), conversation });
       }
     }
-
-    attempts++;
   }
 
   if (validOptions.length === 0) {
-    console.error("❌ No se pudieron generar opciones válidas en español");
-    process.exit(1);
+    throw new CliError(ui.noValidOptions, EXIT_CODES.GENERATION_FAILED);
   }
 
-  console.log(`✅ Generadas ${validOptions.length} opciones en español`);
-  return validOptions;
+  console.log(ui.optionsGenerated(validOptions.length));
+  return validOptions.map(finalizeCommit);
 };
 
-const runInteractive = async () => {
+// Sin modelo hay una sola opción
+const generateListCommits = (diff, numOptions = config.listOptions) =>
+  withOfflineFallback(() => generateModelListCommits(diff, numOptions), () => [generateOfflineCommit(diff)]);
+
+// Resumir lockfiles, generados y binarios del diff que se envía al modelo
+const filterDiff = (diff) => {
+  if (args["no-ignore"]) return diff;
+
+  const repoRoot = execSync("git rev-parse --show-toplevel", { encoding: "utf-8" }).trim();
+  return preprocessDiff(diff, createIgnoreMatcher({ repoRoot, patterns: config.ignore }));
+};
+
+// Leer los cambios preparados
+const readStagedDiff = () => {
   if (!checkGitRepository()) {
-    console.error("⚠️ No es un repositorio Git");
-    process.exit(1);
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
   }
 
-  const diff = execSync("git diff --cached").toString();
-  if (!diff.trim()) {
-    console.log("ℹ️  No hay cambios preparados (usa 'git add .' primero)");
-    process.exit(0);
+  return filterDiff(execSync("git diff --cached").toString());
+};
+
+// Reescribir commits de una rama protegida o ya publicados exige --force;
+// con warnOnly (nada se reescribe: --dry-run, --print, --json) la restricción sólo se avisa
+const checkRewriteAllowed = (rev, { warnOnly = false } = {}) => {
+  if (args.force) return;
+
+  const branch = getCurrentBranch();
+  const remotes = publishedIn(rev);
+  const message = isProtectedBranch(branch, config.protectedBranches)
+    ? ui.rewriteProtected(branch)
+    : remotes.length > 0 ? ui.rewritePublished(remotes.join(", ")) : null;
+
+  if (!message) return;
+  if (!warnOnly) throw new CliError(message, EXIT_CODES.PROTECTED_HISTORY);
+  console.warn(message);
+};
+
+// --amend: el diff de HEAD más lo preparado, que es lo que contendrá el commit corregido
+const readAmendDiff = () => {
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
+  }
+  if (!resolveHead()) {
+    throw new CliError(ui.amendNoCommit, EXIT_CODES.NO_CHANGES);
   }
 
-  console.log("🧠 Analizando cambios...");
+  // Con --print o --json sólo se muestra el mensaje: HEAD no se reescribe
+  checkRewriteAllowed("HEAD", { warnOnly: Boolean(args.print || args.json) });
+  console.log(ui.amendCurrent(readCommit("HEAD").title));
+  return filterDiff(amendDiff());
+};
 
-  if (args.list) {
+const readCommitDiff = () => args.amend ? readAmendDiff() : readStagedDiff();
+
+// Viñetas del cuerpo ("* ...", "- ...")
+const BULLET_PATTERN = /^\s*[-*•]\s+/;
+
+// Texto del editor: se ignoran los comentarios de git (#) y la primera línea es el título
+const parseEditedMessage = (text) => {
+  const [title = "", ...rest] = text.split("\n").filter(line => !line.startsWith("#")).join("\n").trim().split("\n");
+  return { title: title.trim(), body: rest.join("\n").trim() };
+};
+
+// Pedir al modelo que ajuste el mensaje actual, continuando la conversación
+const refineCommit = async (commit, feedback) => {
+  console.log(ui.refining);
+  const prompt = locale.prompts.refine(feedback, formatCommitMessage(commit.title, commit.body));
+  return finalizeCommit(await generateWithFeedback(prompt, { history: commit.conversation }));
+};
+
+// Reescribir una sola viñeta del cuerpo
+const replaceBullet = async (commit, index) => {
+  const lines = commit.body.split("\n");
+  const prompt = locale.prompts.replaceBullet(lines[index], formatCommitMessage(commit.title, commit.body));
+  const { response, data } = await callStructuredAPI(prompt, SCHEMAS.bullet, { history: commit.conversation });
+  const bullet = data?.bullet.split("\n").map(line => line.trim()).find(Boolean)?.replace(BULLET_PATTERN, "");
+  if (!bullet) return commit;
+
+  lines[index] = `* ${bullet}`;
+  return {
+    ...commit,
+    body: lines.join("\n"),
+    conversation: [...commit.conversation, { role: "user", content: prompt }, { role: "assistant", content: response }]
+  };
+};
+
+// Revisar el mensaje antes del commit: confirmar, editar, refinar o regenerar
+const reviewCommit = async (initial, regenerate) => {
+  let commit = initial;
+
+  while (true) {
+    console.log(`\n${ui.generatedMessage}\n${formatCommitMessage(commit.title, commit.body)}\n`);
+    const bullets = commit.body.split("\n")
+      .map((line, index) => ({ name: line.trim(), value: index }))
+      .filter(({ name }) => BULLET_PATTERN.test(name));
+
+    const { action } = await inquirer.prompt({
+      type: "list",
+      name: "action",
+      message: ui.reviewAction,
+      choices: [
+        { name: ui.actionCommit, value: "commit" },
+        { name: ui.actionEditor, value: "editor" },
+        { name: ui.actionEditTitle, value: "title" },
+        // Sin modelo no se puede pedir cambios ni regenerar (el resultado sería el mismo)
+        ...(offline ? [] : [
+          { name: ui.actionRefine, value: "refine" },
+          ...(bullets.length > 0 ? [{ name: ui.actionBullet, value: "bullet" }] : []),
+          { name: ui.regenerate, value: "regenerate" }
+        ]),
+        { name: ui.actionCancel, value: "cancel" }
+      ],
+      pageSize: 10
+    });
+
+    if (action === "commit") return makeCommit(commit.title, commit.body, { amend: Boolean(args.amend) });
+    if (action === "cancel") throw new CliError(ui.cancelled, EXIT_CODES.CANCELLED);
+
+    if (action === "editor") {
+      const { text } = await inquirer.prompt({
+        type: "editor",
+        name: "text",
+        message: ui.actionEditor,
+        default: formatCommitMessage(commit.title, commit.body) + "\n",
+        postfix: ".txt"
+      });
+      const edited = parseEditedMessage(text);
+      if (edited.title) commit = { ...commit, ...edited };
+      else console.warn(ui.editorEmpty);
+    } else if (action === "title") {
+      const { title } = await inquirer.prompt({
+        type: "input",
+        name: "title",
+        message: ui.titlePrompt,
+        default: commit.title,
+        validate: input => input.trim().length > 0
+      });
+      commit = { ...commit, title: title.trim() };
+    } else if (action === "refine") {
+      const { feedback } = await inquirer.prompt({
+        type: "input",
+        name: "feedback",
+        message: ui.refinePrompt
+      });
+      if (feedback.trim()) commit = await refineCommit(commit, feedback.trim());
+    } else if (action === "bullet") {
+      const { index } = await inquirer.prompt({
+        type: "list",
+        name: "index",
+        message: ui.chooseBullet,
+        choices: bullets
+      });
+      commit = await replaceBullet(commit, index);
+    } else if (action === "regenerate") {
+      commit = await regenerate();
+    }
+  }
+};
+
+// Elegir una de las opciones generadas (o generar otras sin volver a leer el diff)
+const chooseFromList = async (diff) => {
+  while (true) {
     const options = await generateListCommits(diff);
     const choices = [
-      ...options.map((opt, i) => ({
+      ...options.map(opt => ({
         name: `${opt.title}\n${opt.body ? opt.body + '\n' : ''}`,
         value: opt
       })),
-      { name: REGENERATE_MSG, value: null }
+      { name: ui.regenerate, value: null }
     ];
 
     const { selected } = await inquirer.prompt({
       type: "list",
       name: "selected",
-      message: "Elige un mensaje:",
+      message: ui.chooseMessage,
       choices,
       pageSize: 10
     });
 
-    if (!selected) return await runInteractive();
-    return makeCommit(selected.title, selected.body);
+    if (selected) return selected;
+  }
+};
+
+const runInteractive = async () => {
+  const diff = readCommitDiff();
+  if (!diff.trim()) {
+    console.log(ui.noStagedChanges);
+    return;
+  }
+
+  loadIssues();
+  await setupLint();
+  await setupGenerator();
+  console.log(ui.analyzing);
+
+  if (args.list) {
+    await reviewCommit(await chooseFromList(diff), () => chooseFromList(diff));
+  } else {
+    await reviewCommit(await generateCommit(diff), () => generateCommit(diff));
+  }
+};
+
+// Modo no interactivo: --print, --json y/o --yes (con --list se usa la primera opción)
+const runScript = async () => {
+  const diff = readCommitDiff();
+  if (!diff.trim()) {
+    throw new CliError(ui.noStagedChanges, EXIT_CODES.NO_CHANGES);
+  }
+
+  loadIssues();
+  await setupLint();
+  await setupGenerator({ interactive: false });
+  console.log(ui.analyzing);
+
+  const { title, body, attempts, breaking } = args.list
+    ? (await generateListCommits(diff))[0]
+    : await generateCommit(diff);
+
+  if (args.yes) makeCommit(title, body, { amend: Boolean(args.amend) });
+
+  if (args.json) {
+    const result = {
+      title,
+      body,
+      type: getCommitHeader(title)?.type ?? null,
+      scope: getCommitHeader(title)?.scope ?? null,
+      breaking: Boolean(breaking),
+      tokens: estimateTokens(diff),
+      attempts,
+      model: offline ? null : client.model,
+      provider: offline ? "offline" : client.provider.name,
+      committed: Boolean(args.yes)
+    };
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  } else if (args.print) {
+    process.stdout.write(formatCommitMessage(title, body) + "\n");
+  }
+};
+
+// Plan del modelo, o null si no cabe en el contexto o la respuesta no es válida
+const planModelSplit = async (units) => {
+  const prompt = locale.prompts.splitPlan(units.map(describeUnit).join("\n"), rules);
+  if (estimateTokens(prompt) > budget.maxPromptTokens) return null;
+
+  const { data } = await callStructuredAPI(prompt, SCHEMAS.splitPlan);
+  return data && parsePlan(data.commits, units);
+};
+
+// Agrupar las unidades (hunks o archivos) en commits; si el modelo no responde un plan válido
+// (o se genera sin modelo) se agrupa por tipo de archivo
+const planSplit = async (units) => {
+  if (units.length === 1) return [{ type: null, units }];
+
+  const groups = await withOfflineFallback(() => planModelSplit(units), () => null);
+  if (groups) return groups;
+
+  if (!offline) console.warn(ui.splitFallback);
+  return fallbackPlan(units);
+};
+
+// Revisar el plan: crear los commits, cambiar el orden o cancelar
+const reviewSplitPlan = async (initial) => {
+  const plan = [...initial];
+
+  while (true) {
+    console.log(`\n${ui.splitPlanTitle(plan.length)}`);
+    plan.forEach((group, index) => console.log(`${index + 1}. ${group.commit.title}\n   ${groupFiles(group).join(", ")}`));
+    console.log();
+
+    const { action } = await inquirer.prompt({
+      type: "list",
+      name: "action",
+      message: ui.reviewAction,
+      choices: [
+        { name: ui.splitAccept(plan.length), value: "accept" },
+        ...(plan.length > 1 ? [{ name: ui.splitMove, value: "move" }] : []),
+        { name: ui.actionCancel, value: "cancel" }
+      ]
+    });
+
+    if (action === "accept") return plan;
+    if (action === "cancel") throw new CliError(ui.cancelled, EXIT_CODES.CANCELLED);
+
+    const positions = plan.map((group, index) => ({ name: `${index + 1}. ${group.commit.title}`, value: index }));
+    const { from } = await inquirer.prompt({ type: "list", name: "from", message: ui.splitChooseGroup, choices: positions });
+    const { to } = await inquirer.prompt({ type: "list", name: "to", message: ui.splitChoosePosition, choices: positions, default: from });
+    plan.splice(to, 0, ...plan.splice(from, 1));
+  }
+};
+
+// Crear los commits en orden preparando sólo el parche de cada grupo;
+// si algo falla (o se interrumpe) se deshacen los commits y se restaura el índice
+const applySplitPlan = (plan) => {
+  const snapshot = snapshotRepository();
+  const abort = () => {
+    restoreRepository(snapshot);
+    console.warn(ui.splitRestored);
+  };
+
+  const release = onInterrupt(abort);
+  try {
+    plan.forEach((group, index) => {
+      console.log(ui.splitApplying(index + 1, plan.length, group.commit.title));
+      try {
+        stageGroup(group);
+      } catch (error) {
+        throw new CliError(ui.splitFailed(error.stderr?.toString().trim() || error.message), EXIT_CODES.COMMIT_FAILED, { cause: error });
+      }
+      makeCommit(group.commit.title, group.commit.body);
+    });
+  } catch (error) {
+    abort();
+    throw error;
+  } finally {
+    release();
+  }
+
+  restoreIndex(snapshot);
+  console.log(ui.splitDone(plan.length));
+};
+
+// Modo --split: proponer varios commits atómicos a partir de los cambios preparados
+const runSplit = async () => {
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
+  }
+
+  // El diff completo (con binarios) es el que se aplica; al modelo le llega filtrado
+  const rawDiff = readStagedPatch();
+  if (!rawDiff.trim()) {
+    if (SCRIPT_MODE) throw new CliError(ui.noStagedChanges, EXIT_CODES.NO_CHANGES);
+    console.log(ui.noStagedChanges);
+    return;
+  }
+
+  loadIssues();
+  await setupLint();
+  await setupGenerator({ interactive: !SCRIPT_MODE });
+  console.log(ui.splitPlanning);
+
+  const groups = await planSplit(buildUnits(rawDiff));
+  const plan = [];
+  for (const [index, group] of groups.entries()) {
+    console.log(ui.splitGroupMessage(index + 1, groups.length, groupFiles(group).join(", ")));
+    // El tipo del plan (del modelo o por categoría de archivo) se exige al mensaje del grupo
+    const type = rules.types.includes(group.type) ? group.type : undefined;
+    plan.push({ ...group, commit: await generateCommit(filterDiff(groupDiff(group)), { type }) });
+  }
+
+  const ordered = SCRIPT_MODE ? plan : await reviewSplitPlan(plan);
+  const commit = !SCRIPT_MODE || Boolean(args.yes);
+  if (commit) applySplitPlan(ordered);
+
+  if (args.json) {
+    const commits = ordered.map(group => ({ title: group.commit.title, body: group.commit.body, files: groupFiles(group) }));
+    process.stdout.write(JSON.stringify({ commits, committed: commit }, null, 2) + "\n");
+  } else if (args.print) {
+    process.stdout.write(ordered.map(group => formatCommitMessage(group.commit.title, group.commit.body)).join("\n\n---\n\n") + "\n");
+  }
+};
+
+// Vista previa: commit, mensaje actual y mensaje propuesto
+const printRewordTable = (results) => {
+  const width = Math.min(50, Math.max(ui.rewordBefore.length, ...results.map(({ commit }) => commit.title.length)));
+  const cell = (text) => text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+
+  console.log(`\n${"commit".padEnd(7)}  ${cell(ui.rewordBefore)}  ${ui.rewordAfter}`);
+  results.forEach(({ commit, title }) => console.log(`${commit.sha.slice(0, 7)}  ${cell(commit.title)}  ${title}`));
+  console.log();
+};
+
+// Subcomando: CommitGhiranAi reword <rango> [--dry-run] [--force]
+// Genera mensajes nuevos para los commits del rango y reescribe la historia sin rebase interactivo
+const runReword = async (range) => {
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
+  }
+  if (!range) throw new CliError(ui.rewordUsage);
+
+  let commits;
+  try {
+    commits = resolveRange(range);
+  } catch (error) {
+    throw new CliError(ui.rewordInvalidRange(range), EXIT_CODES.INVALID_ARGS, { cause: error });
+  }
+  if (commits.length === 0) throw new CliError(ui.rewordEmpty(range), EXIT_CODES.NO_CHANGES);
+  if (!commits.every(commit => isAncestorOfHead(commit.sha))) {
+    throw new CliError(ui.rewordNotInHead(range), EXIT_CODES.INVALID_ARGS);
+  }
+  if (commits.some(commit => commit.parents.length > 1)) {
+    throw new CliError(ui.rewordMerges, EXIT_CODES.INVALID_ARGS);
+  }
+
+  // En --dry-run no se reescribe nada: la restricción sólo se avisa
+  const dryRun = Boolean(args["dry-run"]);
+  checkRewriteAllowed(commits[0].sha, { warnOnly: dryRun });
+
+  loadIssues();
+  await setupLint();
+  await setupGenerator({ interactive: !SCRIPT_MODE });
+
+  const results = [];
+  for (const [index, commit] of commits.entries()) {
+    console.log(ui.rewordGenerating(index + 1, commits.length, commit.sha.slice(0, 7), commit.title));
+    const { title, body } = await generateCommit(filterDiff(commitDiff(commit)));
+    results.push({ commit, title, body });
+  }
+
+  printRewordTable(results);
+
+  let rewritten = null;
+  if (!dryRun) {
+    if (!SCRIPT_MODE) {
+      const { confirmed } = await inquirer.prompt({ type: "confirm", name: "confirmed", message: ui.rewordConfirm(commits.length), default: false });
+      if (!confirmed) throw new CliError(ui.cancelled, EXIT_CODES.CANCELLED);
+    }
+    if (!SCRIPT_MODE || args.yes) {
+      const messages = new Map(results.map(({ commit, title, body }) => [commit.sha, formatCommitMessage(title, body)]));
+      rewritten = rewriteMessages(commitsToReplay(commits[0]), messages);
+      console.log(ui.rewordDone(commits.length, rewritten.head.slice(0, 7)));
+    }
+  }
+
+  if (args.json) {
+    const output = results.map(({ commit, title, body }) => ({
+      sha: commit.sha,
+      oldTitle: commit.title,
+      title,
+      body,
+      newSha: rewritten?.replaced.get(commit.sha) ?? null
+    }));
+    process.stdout.write(JSON.stringify({ commits: output, rewritten: Boolean(rewritten) }, null, 2) + "\n");
+  } else if (args.print) {
+    process.stdout.write(results.map(({ title, body }) => formatCommitMessage(title, body)).join("\n\n---\n\n") + "\n");
+  }
+};
+
+// Commits para el prompt del PR: título y cuerpo sangrado
+const formatCommitList = (commits) =>
+  commits.map(commit => `- ${commit.title}${commit.body ? `\n${commit.body.replace(/^/gm, "  ")}` : ""}`).join("\n");
+
+// Subcomando: CommitGhiranAi pr [--base <rama>]
+// Título y descripción en Markdown a partir de los commits y el diff respecto a la base;
+// si el diff no cabe se resume con el mismo análisis por partes que los commits
+const runPr = async () => {
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
+  }
+  if (args.base === true) throw new CliError(ui.prUsage, EXIT_CODES.INVALID_ARGS);
+
+  const base = args.base || resolveDefaultBase();
+  if (!base) throw new CliError(ui.prNoBase, EXIT_CODES.INVALID_ARGS);
+  const from = mergeBase(base);
+  if (!from) throw new CliError(ui.prInvalidBase(base), EXIT_CODES.INVALID_ARGS);
+
+  const commits = readCommits(`${from}..HEAD`);
+  if (commits.length === 0) throw new CliError(ui.prNoCommits(base), EXIT_CODES.NO_CHANGES);
+
+  await setupClient({ interactive: !SCRIPT_MODE });
+  console.log(ui.prSummarizing(commits.length, base));
+
+  const commitList = formatCommitList(commits);
+  const diff = filterDiff(rangeDiff(from, "HEAD"));
+  let changes = { diff };
+
+  if (estimateTokens(diff) > availableTokensFor(text => locale.prompts.pullRequest(commitList, { diff: text }))) {
+    console.log(ui.splittingChunks);
+    const chunks = splitDiffIntoChunks(diff);
+    console.log(ui.chunksCreated(chunks.length));
+    await confirmCost([
+      ...chunkEstimates(chunks),
+      consolidationEstimate(chunks.length, analysis => locale.prompts.pullRequest(commitList, { analysis }))
+    ]);
+    const analyses = await analyzeChunks(chunks);
+    console.log(ui.consolidating);
+    changes = { analysis: consolidateAnalysis(analyses) };
+  } else {
+    await confirmCost([requestEstimate(locale.prompts.pullRequest(commitList, changes), EXPECTED_COMPLETION_TOKENS, { schema: SCHEMAS.pullRequest })]);
+  }
+
+  // Sin JSON válido se lee la respuesta como Markdown (título en la primera línea)
+  const { response, data } = await callStructuredAPI(locale.prompts.pullRequest(commitList, changes), SCHEMAS.pullRequest);
+  const generated = data ? { title: data.title.trim(), body: data.body.trim() } : parsePullRequest(response);
+  const prIssues = resolveIssues({ override: args.issue, patterns: config.issuePatterns });
+  const { title, body } = linkIssues(generated, prIssues, { token: config.issueToken });
+
+  if (args.json) {
+    const result = {
+      title,
+      body,
+      base,
+      commits: commits.length,
+      tokens: estimateTokens(diff),
+      model: client.model,
+      provider: client.provider.name
+    };
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
   } else {
-    const { title, body } = await generateCommit(diff);
-    console.log(`\n💡 Mensaje generado:\n${title}\n${body ? '\n' + body + '\n' : ''}`);
-
-    const { confirm } = await inquirer.prompt({
-      type: "confirm",
-      name: "confirm",
-      message: "¿Crear commit con este mensaje?",
-      default: true
+    process.stdout.write(`${title}\n\n${body}\n`);
+  }
+};
+
+// Subcomando: CommitGhiranAi changelog [<desde>..<hasta>] [--version <versión>]
+// Sección de Keep a Changelog agrupando los commits por tipo; no llama al modelo
+const runChangelog = async (range) => {
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
+  }
+  if (args.version === true) throw new CliError(ui.changelogUsage, EXIT_CODES.INVALID_ARGS);
+
+  // Sin rango: desde la etiqueta anterior (toda la historia si no hay ninguna); "v1.0.0" equivale a "v1.0.0..HEAD"
+  let spec = range;
+  if (!spec) {
+    const tag = exactTag("HEAD") ? latestTag("HEAD^") : latestTag();
+    spec = tag ? `${tag}..HEAD` : "HEAD";
+  } else if (!spec.includes("..")) {
+    spec = `${spec}..HEAD`;
+  }
+  const to = spec.split(/\.{2,3}/).pop() || "HEAD";
+
+  let commits;
+  try {
+    commits = readCommits(spec);
+  } catch (error) {
+    throw new CliError(ui.changelogInvalidRange(spec), EXIT_CODES.INVALID_ARGS, { cause: error });
+  }
+
+  const sections = groupChangelog(commits);
+  if (CHANGELOG_SECTIONS.every(name => sections[name].length === 0)) console.warn(ui.changelogEmpty(spec));
+
+  // La versión sale de --version o de la etiqueta del final del rango ("v1.2.0" → "1.2.0")
+  const version = (args.version || exactTag(to))?.replace(/^v(?=\d)/, "") || null;
+  const date = version ? commitDate(to) : null;
+  const markdown = formatChangelog(sections, { version, date, labels: locale.changelog, breakingLabel: locale.changelog.breaking });
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify({ range: spec, version, date, sections, markdown }, null, 2) + "\n");
+  } else {
+    process.stdout.write(markdown + "\n");
+  }
+};
+
+// Nombres de rama a partir de la tarea o del diff, con el patrón configurado;
+// se descartan los que git no acepta y los que ya existen
+const generateBranchNames = async ({ task, diff, issue }) => {
+  const { data } = await callStructuredAPI(locale.prompts.branchName({ task, diff }, config.listOptions, rules), SCHEMAS.branchNames);
+  const user = gitUserSlug();
+  const names = readBranchSuggestions(data?.branches ?? [], rules.types)
+    .map(({ type, scope, description }) =>
+      checkBranchName(renderBranchName(config.branchPattern, { type, scope, issue, user, slug: slugify(description) })))
+    .filter(name => name && !branchExists(name));
+
+  if (names.length === 0) throw new CliError(ui.branchNone, EXIT_CODES.GENERATION_FAILED);
+  return [...new Set(names)];
+};
+
+// Elegir uno de los nombres, generar otros o escribir uno propio
+const chooseBranchName = async (generate) => {
+  while (true) {
+    const names = await generate();
+    const { selected } = await inquirer.prompt({
+      type: "list",
+      name: "selected",
+      message: ui.branchChoose,
+      choices: [
+        ...names,
+        { name: ui.branchRegenerate, value: null },
+        { name: ui.branchCustom, value: "custom" },
+        { name: ui.actionCancel, value: "cancel" }
+      ]
     });
 
-    if (confirm) makeCommit(title, body);
-    else console.log("🚫 Operación cancelada");
+    if (selected === "cancel") throw new CliError(ui.cancelled, EXIT_CODES.CANCELLED);
+    if (selected !== "custom") {
+      if (selected) return selected;
+      continue;
+    }
+
+    const { name } = await inquirer.prompt({
+      type: "input",
+      name: "name",
+      message: ui.branchCustomPrompt,
+      validate: input => {
+        const valid = checkBranchName(input.trim());
+        if (!valid) return ui.branchInvalid(input.trim());
+        return !branchExists(valid) || ui.branchTaken(valid);
+      }
+    });
+    return checkBranchName(name.trim());
+  }
+};
+
+const createBranch = (name) => {
+  try {
+    switchToBranch(name);
+  } catch (error) {
+    throw new CliError(ui.branchSwitchFailed(name), EXIT_CODES.GENERAL, { cause: error });
+  }
+  console.log(ui.branchSwitched(name));
+};
+
+// Subcomando: CommitGhiranAi branch ["descripción de la tarea"] [--switch]
+// Sin descripción se usan los cambios preparados o, si no hay, los no preparados
+const runBranch = async (words) => {
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
+  }
+
+  const task = words.join(" ").trim();
+  let diff = "";
+  if (!task) {
+    diff = readStagedDiff();
+    if (!diff.trim()) diff = filterDiff(execSync("git diff").toString());
+    if (!diff.trim()) throw new CliError(ui.branchNoSource, EXIT_CODES.NO_CHANGES);
+  }
+
+  // Ticket de --issue o mencionado en la tarea ("#" no es válido en el nombre de la rama)
+  const issues = typeof args.issue === "string" ? resolveIssues({ override: args.issue }) : extractIssues(task, config.issuePatterns);
+  const issue = issues[0]?.replace(/^#/, "") || "";
+
+  await setupClient({ interactive: !SCRIPT_MODE });
+  console.log(ui.branchGenerating);
+
+  // Un diff que no cabe se reemplaza por la lista de archivos con sus estadísticas
+  if (diff && estimateTokens(diff) > availableTokensFor(text => locale.prompts.branchName({ diff: text }, config.listOptions, rules))) {
+    diff = parseDiff(diff).map(summarizeFile).join("\n");
+  }
+
+  const generate = () => generateBranchNames({ task, diff, issue });
+
+  if (SCRIPT_MODE) {
+    const names = await generate();
+    const switched = args.switch || args.yes ? names[0] : null;
+    if (switched) createBranch(switched);
+
+    if (args.json) {
+      process.stdout.write(JSON.stringify({ branches: names, switched }, null, 2) + "\n");
+    } else if (args.print) {
+      process.stdout.write(names.join("\n") + "\n");
+    }
+    return;
+  }
+
+  const name = await chooseBranchName(generate);
+  const { confirmed } = args.switch
+    ? { confirmed: true }
+    : await inquirer.prompt({ type: "confirm", name: "confirmed", message: ui.branchSwitch(name), default: true });
+
+  if (confirmed) createBranch(name);
+  else console.log(name);
+};
+
+// Modo no interactivo usado por el hook prepare-commit-msg:
+// escribe el mensaje generado en el archivo que git abrirá en el editor
+const runHook = async (messageFile, source) => {
+  if (!messageFile) {
+    throw new CliError(ui.hookMissingFile, EXIT_CODES.INVALID_ARGS);
+  }
+  if (shouldSkipHook(source)) return;
+
+  const existing = existsSync(messageFile) ? readFileSync(messageFile, "utf8") : "";
+  if (hasUserMessage(existing)) return;
+
+  const diff = readStagedDiff();
+  if (!diff.trim()) return;
+
+  loadIssues();
+  await setupLint();
+  await setupGenerator({ interactive: false });
+  const { title, body } = await generateCommit(diff);
+  const message = formatCommitMessage(title, body);
+  writeFileSync(messageFile, `${message}\n${existing}`, "utf8");
+};
+
+// Subcomando: CommitGhiranAi hook install|uninstall
+const runHookCommand = async (action, hookArgs) => {
+  if (action === "run") {
+    return await runHook(...hookArgs);
+  }
+
+  if (!checkGitRepository()) {
+    throw new CliError(ui.notGitRepo, EXIT_CODES.NOT_GIT_REPO);
   }
+
+  if (action === "install") {
+    const result = installHook({ force: Boolean(args.force) });
+    if (!result.installed) {
+      throw new CliError(result.reason === "notDirectory" ? ui.hooksDirInvalid(result.hooksDir) : ui.hookExists(result.hookPath));
+    }
+    if (result.backupPath) console.log(ui.hookBackedUp(result.backupPath));
+    console.log(ui.hookInstalled(result.hookPath));
+    return;
+  }
+
+  if (action === "uninstall") {
+    const result = uninstallHook();
+    if (!result.removed) {
+      throw new CliError(result.reason === "foreign" ? ui.hookForeign(result.hookPath) : ui.hookMissing(result.hookPath));
+    }
+    console.log(ui.hookUninstalled(result.hookPath));
+    if (result.restoredBackup) console.log(ui.hookBackupRestored);
+    return;
+  }
+
+  throw new CliError(ui.hookUsage);
 };
 
-await runInteractive();
\ No newline at end of file
+// Subcomando: CommitGhiranAi usage [--days <n>] [--all]
+// Tokens y costo registrados por día y modelo en el repositorio actual (o en todos con --all)
+const runUsage = () => {
+  const days = args.days === undefined ? 30 : Number(args.days);
+  if (!Number.isInteger(days) || days < 1) throw new CliError(ui.usageUsage, EXIT_CODES.INVALID_ARGS);
+
+  const since = new Date();
+  since.setDate(since.getDate() - days + 1);
+  const repo = args.all ? null : findProjectRoot();
+  const { rows, totals } = summarizeUsage(readLedger(), { repo, since: localDate(since) });
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify({ repo, days, rows, totals }, null, 2) + "\n");
+    return;
+  }
+  if (rows.length === 0) {
+    console.log(ui.usageEmpty(days));
+    return;
+  }
+
+  // "?" sin precio conocido; "+" si parte de las solicitudes no tienen precio
+  const formatTotal = (entry) => entry.unpriced === entry.requests ? "?" : `${formatCost(entry.cost)}${entry.unpriced > 0 ? "+" : ""}`;
+  const columns = ui.usageColumns;
+  const table = [
+    [columns.date, ...(repo ? [] : [columns.repo]), columns.model, columns.requests, columns.input, columns.output, columns.cost],
+    ...rows.map(row => [row.date, ...(repo ? [] : [path.basename(row.repo)]), row.model, row.requests, row.promptTokens, row.completionTokens, formatTotal(row)]),
+    [ui.usageTotal, ...(repo ? [] : [""]), "", totals.requests, totals.promptTokens, totals.completionTokens, formatTotal(totals)]
+  ].map(line => line.map(String));
+
+  // Texto alineado a la izquierda y números a la derecha
+  const numeric = (index) => index >= table[0].length - 4;
+  const widths = table[0].map((_, index) => Math.max(...table.map(line => line[index].length)));
+  const formatLine = (line) => line.map((text, index) => numeric(index) ? text.padStart(widths[index]) : text.padEnd(widths[index])).join("  ");
+
+  console.log(ui.usageHeading(repo ?? ui.usageAllRepos, days));
+  table.forEach(line => console.log(formatLine(line)));
+  if (totals.estimated > 0) console.log(ui.usageEstimated(totals.estimated));
+  if (totals.unpriced > 0) console.log(ui.usageUnpriced(totals.unpriced));
+};
+
+// Subcomando: CommitGhiranAi cache clear
+const runCacheCommand = (action) => {
+  if (action === "clear") {
+    console.log(ui.cacheCleared(clearCache(), CACHE_DIR));
+    return;
+  }
+
+  throw new CliError(ui.cacheUsage);
+};
+
+// Subcomando: CommitGhiranAi config get|set|list
+const runConfigCommand = (action, [key, value] = []) => {
+  const formatValue = (val) => {
+    if (Array.isArray(val)) return val.join(",");
+    if (val && typeof val === "object") return Object.entries(val).map(([name, item]) => `${name}=${item}`).join(",");
+    return String(val);
+  };
+
+  if (action === "list") {
+    for (const name of Object.keys(CONFIG_SCHEMA)) {
+      const val = config[name] === undefined ? "" : formatValue(config[name]);
+      console.log(`${name} = ${val}  (${configSources[name] || "-"})`);
+    }
+    return;
+  }
+
+  if (action === "get" && key) {
+    if (!CONFIG_SCHEMA[key]) throw new CliError(ui.configUnknownKey(key), EXIT_CODES.INVALID_ARGS);
+    if (config[key] !== undefined) console.log(formatValue(config[key]));
+    return;
+  }
+
+  if (action === "set" && key && value !== undefined) {
+    try {
+      const result = setConfigValue(key, value, { project: Boolean(args.project) });
+      console.log(ui.configSaved(key, formatValue(result.value), result.file));
+    } catch (error) {
+      const message = error instanceof ConfigError ? describeConfigError(error, ui) : `⚠️ ${error.message}`;
+      throw new CliError(message, EXIT_CODES.INVALID_ARGS);
+    }
+    return;
+  }
+
+  throw new CliError(ui.configUsage);
+};
+
+// Leer la clave de stdin cuando no hay terminal (p. ej. `echo $KEY | CommitGhiranAi auth login`)
+const readStdin = async () => {
+  let data = "";
+  for await (const chunk of process.stdin) data += chunk;
+  return data.trim();
+};
+
+// Subcomando: CommitGhiranAi auth login|logout|status
+const runAuthCommand = async (action) => {
+  if (action === "login") {
+    const apiKey = process.stdin.isTTY ? await askForApiKey() : await readStdin();
+    if (!apiKey) throw new CliError(ui.apiKeyInvalid, EXIT_CODES.INVALID_ARGS);
+    storeApiKey(apiKey);
+    return;
+  }
+
+  if (action === "logout") {
+    const names = args.all
+      ? listCredentials().filter(entry => entry.provider === provider.name).map(entry => entry.name)
+      : [config.keyName];
+    const removed = names.filter(name => deleteCredential(provider.name, name));
+    if (removed.length === 0) throw new CliError(ui.keyNotFound(provider.label, config.keyName));
+    removed.forEach(name => console.log(ui.keyRemoved(provider.label, name)));
+    return;
+  }
+
+  if (action === "status") {
+    const backend = getCredentialBackend();
+    console.log(ui.authBackend(backend === "keyring" ? ui.backendKeyring : ui.backendFile(CREDENTIALS_FILE)));
+
+    const credentials = listCredentials();
+    for (const item of Object.values(PROVIDERS)) {
+      const names = credentials
+        .filter(entry => entry.provider === item.name)
+        .map(entry => `${entry.name}${entry.name === config.keyName && item.name === provider.name ? "*" : ""} (${entry.backend})`);
+      const fromEnv = item.envVar && process.env[item.envVar];
+      if (names.length === 0 && !fromEnv) continue;
+      console.log(`  ${item.name}: ${names.join(", ") || "-"}${fromEnv ? `  [${ui.keyFromEnv(item.envVar)}]` : ""}`);
+    }
+    return;
+  }
+
+  throw new CliError(ui.authUsage);
+};
+
+const [command, ...commandArgs] = args._;
+
+// Errores esperados: mensaje (o JSON con --json) y el código de salida correspondiente
+const exitWithError = (error) => {
+  if (args.json) {
+    process.stdout.write(JSON.stringify({ error: { message: error.message, exitCode: error.exitCode } }, null, 2) + "\n");
+  } else {
+    console.error(error.message);
+  }
+  process.exit(error.exitCode);
+};
+
+// Ctrl+C cancela el comando en cualquier momento: se ejecutan las limpiezas pendientes y se sale con el código de cancelación
+const stopHandlingInterrupts = handleInterrupts(() => exitWithError(new CliError(ui.cancelled, EXIT_CODES.CANCELLED)));
+
+try {
+  if (command === "hook") {
+    await runHookCommand(commandArgs[0], commandArgs.slice(1));
+  } else if (command === "auth") {
+    await runAuthCommand(commandArgs[0]);
+  } else if (command === "config") {
+    runConfigCommand(commandArgs[0], commandArgs.slice(1));
+  } else if (command === "reword") {
+    await runReword(commandArgs[0]);
+  } else if (command === "pr") {
+    await runPr();
+  } else if (command === "changelog") {
+    await runChangelog(commandArgs[0]);
+  } else if (command === "branch") {
+    await runBranch(commandArgs);
+  } else if (command === "usage") {
+    runUsage();
+  } else if (command === "cache") {
+    runCacheCommand(commandArgs[0]);
+  } else if (args.split) {
+    await runSplit();
+  } else if (SCRIPT_MODE) {
+    await runScript();
+  } else {
+    await runInteractive();
+  }
+} catch (error) {
+  if (!(error instanceof CliError)) throw error;
+  exitWithError(error);
+} finally {
+  stopHandlingInterrupts();
+}
\ No newline at end of file
@@ -0,0 +1,40 @@
+// Limpiezas pendientes si el usuario cancela con Ctrl+C (línea de progreso, archivos temporales, índice de --split...)
+const cleanups = new Set();
+
+// Qué hacer después de las limpiezas (ver handleInterrupts)
+let exitAfterCleanup = () => process.exit(130);
+
+// Ctrl+C: ejecutar las limpiezas (la última registrada primero) y terminar
+const interrupt = () => {
+  for (const cleanup of [...cleanups].reverse()) {
+    try {
+      cleanup();
+    } catch {
+      // Una limpieza que falla no impide las demás
+    }
+  }
+  cleanups.clear();
+  exitAfterCleanup();
+};
+
+// Registrar una limpieza; devuelve la función que la quita cuando el trabajo termina normalmente
+function onInterrupt(cleanup) {
+  cleanups.add(cleanup);
+  return () => cleanups.delete(cleanup);
+}
+
+// Atender Ctrl+C durante todo el comando: limpiezas y luego exit (mensaje y código de salida de la CLI).
+// El temporizador mantiene vivo el proceso para que la señal llegue al manejador aunque no quede otra
+// tarea pendiente: inquirer cierra el prompt y reenvía la señal al proceso. Devuelve la función que lo detiene
+function handleInterrupts(exit) {
+  exitAfterCleanup = exit;
+  process.on("SIGINT", interrupt);
+  const keepAlive = setInterval(() => {}, 2 ** 31 - 1);
+
+  return () => {
+    clearInterval(keepAlive);
+    process.removeListener("SIGINT", interrupt);
+  };
+}
+
+export { onInterrupt, handleInterrupts }
@@ -0,0 +1,64 @@
+import { execSync } from "child_process";
+import { parseCommitMessage, formatCommitBody } from "./conventional.js";
+
+// Patrones por defecto: claves tipo Jira (PROJ-421) e issues numéricos al inicio de la rama (feature/421-login)
+const DEFAULT_ISSUE_PATTERNS = ["\\b[A-Z][A-Z0-9]+-\\d+\\b", "^(?:[\\w-]+/)?(\\d+)(?=[-_]|$)"];
+
+const ISSUE_POSITIONS = ["footer", "title"];
+
+// Rama actual (null si HEAD está desacoplado)
+function getCurrentBranch() {
+  try {
+    return execSync("git symbolic-ref -q --short HEAD", { encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Los números sueltos se referencian como #123
+const normalizeIssue = (id) => /^\d+$/.test(id) ? `#${id}` : id;
+
+// Extraer los IDs de la rama; si el patrón tiene grupo se usa el primero
+function extractIssues(branch, patterns = DEFAULT_ISSUE_PATTERNS) {
+  if (!branch) return [];
+
+  const issues = [];
+  for (const pattern of patterns) {
+    for (const match of branch.matchAll(new RegExp(pattern, "g"))) {
+      const id = normalizeIssue(match[1] ?? match[0]);
+      if (id && !issues.includes(id)) issues.push(id);
+    }
+  }
+  return issues;
+}
+
+// "--issue PROJ-1,PROJ-2" o IDs extraídos de la rama actual
+function resolveIssues({ override, patterns } = {}) {
+  if (typeof override === "string") {
+    return override.split(",").map(id => normalizeIssue(id.trim())).filter(Boolean);
+  }
+  return extractIssues(getCurrentBranch(), patterns);
+}
+
+// Agregar los IDs que el mensaje aún no menciona, como footer o al inicio de la descripción
+function linkIssues({ title, body = "" }, issues, { position = "footer", token = "Refs" } = {}) {
+  const missing = issues.filter(id => !`${title}\n${body}`.includes(id));
+  if (missing.length === 0) return { title, body };
+
+  if (position === "title") {
+    return { title: title.replace(/:\s*/, `: ${missing.join(" ")} `), body };
+  }
+
+  const commit = parseCommitMessage(`${title}\n\n${body}`);
+  const footers = [...commit.footers, { token, separator: ": ", value: missing.join(", ") }];
+  return { title, body: formatCommitBody({ body: commit.body, footers }) };
+}
+
+export {
+  DEFAULT_ISSUE_PATTERNS,
+  ISSUE_POSITIONS,
+  getCurrentBranch,
+  extractIssues,
+  resolveIssues,
+  linkIssues
+}
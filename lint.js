@@ -0,0 +1,208 @@
+import { existsSync, readFileSync } from "fs";
+import { createRequire } from "module";
+import path from "path";
+import { pathToFileURL } from "url";
+import { parseCommitMessage } from "./conventional.js";
+
+// Archivos de configuración de commitlint que se buscan en la raíz del repositorio (YAML no está soportado)
+const COMMITLINT_FILES = [
+  ".commitlintrc",
+  ".commitlintrc.json",
+  ".commitlintrc.js",
+  ".commitlintrc.cjs",
+  ".commitlintrc.mjs",
+  "commitlint.config.js",
+  "commitlint.config.cjs",
+  "commitlint.config.mjs"
+];
+
+// Equivalente de @commitlint/config-conventional, para no depender de que esté instalado
+const CONVENTIONAL_PRESET = {
+  "body-leading-blank": [1, "always"],
+  "body-max-line-length": [2, "always", 100],
+  "footer-leading-blank": [1, "always"],
+  "footer-max-line-length": [2, "always", 100],
+  "header-max-length": [2, "always", 100],
+  "header-trim": [2, "always"],
+  "subject-case": [2, "never", ["sentence-case", "start-case", "pascal-case", "upper-case"]],
+  "subject-empty": [2, "never"],
+  "subject-full-stop": [2, "never", "."],
+  "type-case": [2, "always", "lower-case"],
+  "type-empty": [2, "never"],
+  "type-enum": [2, "always", ["build", "chore", "ci", "docs", "feat", "fix", "perf", "refactor", "revert", "style", "test"]]
+};
+
+const PRESETS = {
+  "@commitlint/config-conventional": CONVENTIONAL_PRESET
+};
+
+const LEVELS = { DISABLED: 0, WARNING: 1, ERROR: 2 };
+
+// Comprobaciones de mayúsculas/minúsculas de commitlint
+const CASES = {
+  "lower-case": text => text === text.toLowerCase(),
+  "upper-case": text => text === text.toUpperCase(),
+  "sentence-case": text => /^\p{Lu}/u.test(text),
+  "start-case": text => text.split(/\s+/).every(word => /^[^\p{Ll}]/u.test(word)),
+  "pascal-case": text => /^[A-Z][a-zA-Z0-9]*$/.test(text),
+  "camel-case": text => /^[a-z][a-zA-Z0-9]*$/.test(text),
+  "kebab-case": text => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(text),
+  "snake-case": text => /^[a-z0-9]+(_[a-z0-9]+)*$/.test(text)
+};
+
+const matchesCase = (text, cases) => [].concat(cases).some(name => CASES[name]?.(text) ?? true);
+
+const maxLineLength = (text) => Math.max(0, ...text.split("\n").map(line => line.length));
+
+// Cada regla devuelve [cumple la condición "always", mensaje para "always", mensaje para "never"]
+const RULES = {
+  "header-max-length": (c, value) => [c.raw.header.length <= value, `header must not be longer than ${value} characters, current length is ${c.raw.header.length}`],
+  "header-min-length": (c, value) => [c.raw.header.length >= value, `header must not be shorter than ${value} characters, current length is ${c.raw.header.length}`],
+  "header-trim": (c) => [c.raw.header === c.raw.header.trim(), "header must not be surrounded by whitespace"],
+  "header-full-stop": (c, value = ".") => [c.raw.header.endsWith(value), `header must end with full stop`, `header may not end with full stop`],
+  "header-case": (c, value) => [matchesCase(c.raw.header, value), `header must be ${[].concat(value).join(", ")}`, `header must not be ${[].concat(value).join(", ")}`],
+  "type-enum": (c, value) => [!c.type || value.includes(c.type), `type must be one of [${value.join(", ")}]`, `type must not be one of [${value.join(", ")}]`],
+  "type-case": (c, value) => [!c.type || matchesCase(c.type, value), `type must be ${[].concat(value).join(", ")}`, `type must not be ${[].concat(value).join(", ")}`],
+  "type-empty": (c) => [!c.type, "type must be empty", "type may not be empty"],
+  "type-max-length": (c, value) => [(c.type || "").length <= value, `type must not be longer than ${value} characters`],
+  "scope-enum": (c, value) => [!c.scope || value.length === 0 || value.includes(c.scope), `scope must be one of [${value.join(", ")}]`, `scope must not be one of [${value.join(", ")}]`],
+  "scope-case": (c, value) => [!c.scope || matchesCase(c.scope, value), `scope must be ${[].concat(value).join(", ")}`, `scope must not be ${[].concat(value).join(", ")}`],
+  "scope-empty": (c) => [!c.scope, "scope must be empty", "scope may not be empty"],
+  "subject-empty": (c) => [!c.subject, "subject must be empty", "subject may not be empty"],
+  "subject-case": (c, value) => [!c.subject || matchesCase(c.subject, value), `subject must be ${[].concat(value).join(", ")}`, `subject must not be ${[].concat(value).join(", ")}`],
+  "subject-full-stop": (c, value = ".") => [!c.subject || c.subject.endsWith(value), `subject must end with full stop`, `subject may not end with full stop`],
+  "subject-max-length": (c, value) => [(c.subject || "").length <= value, `subject must not be longer than ${value} characters`],
+  "subject-min-length": (c, value) => [(c.subject || "").length >= value, `subject must not be shorter than ${value} characters`],
+  "subject-exclamation-mark": (c) => [c.breaking, "subject must have an exclamation mark before the colon", "subject must not have an exclamation mark before the colon"],
+  "body-empty": (c) => [!c.body, "body must be empty", "body may not be empty"],
+  "body-leading-blank": (c) => [!c.body || c.raw.lines[1] === "", "body must have leading blank line", "body must not have leading blank line"],
+  "body-max-length": (c, value) => [(c.body || "").length <= value, `body must not be longer than ${value} characters`],
+  "body-min-length": (c, value) => [(c.body || "").length >= value, `body must not be shorter than ${value} characters`],
+  "body-max-line-length": (c, value) => [maxLineLength(c.body || "") <= value, `body's lines must not be longer than ${value} characters`],
+  "body-full-stop": (c, value = ".") => [!c.body || c.body.endsWith(value), "body must end with full stop", "body may not end with full stop"],
+  "footer-empty": (c) => [c.footers.length === 0, "footer must be empty", "footer may not be empty"],
+  "footer-leading-blank": (c) => [c.footers.length === 0 || c.raw.footerBlank, "footer must have leading blank line", "footer must not have leading blank line"],
+  "footer-max-line-length": (c, value) => [maxLineLength(c.footerText) <= value, `footer's lines must not be longer than ${value} characters`],
+  "references-empty": (c) => [!/(^|\s)#\d+|\b[A-Z][A-Z0-9]+-\d+\b/.test(c.footerText), "references must be empty", "references may not be empty"],
+  "trailer-exists": (c, value) => [c.footers.some(footer => footer.token === value), `message must have \`${value}\` trailer`, `message must not have \`${value}\` trailer`]
+};
+
+// Reglas equivalentes a la especificación del CLI (se usan aunque no haya commitlint)
+function rulesFromSpec(spec) {
+  return {
+    "header-format": [2, "always"],
+    "type-enum": [2, "always", spec.types],
+    "type-empty": [2, "never"],
+    "scope-enum": [spec.scopes.length > 0 ? 2 : 0, "always", spec.scopes],
+    "subject-empty": [2, "never"],
+    "subject-max-length": [2, "always", spec.titleMaxLength],
+    "body-empty": [2, "never"]
+  };
+}
+
+// Adaptar los tipos y scopes de la especificación a los de commitlint para que los prompts coincidan
+function applyLintRulesToSpec(spec, rules) {
+  const active = (name) => rules[name] && rules[name][0] === LEVELS.ERROR && rules[name][1] !== "never" && Array.isArray(rules[name][2]);
+  return {
+    ...spec,
+    types: active("type-enum") ? rules["type-enum"][2] : spec.types,
+    scopes: active("scope-enum") ? rules["scope-enum"][2] : spec.scopes
+  };
+}
+
+// Datos del mensaje que usan las reglas
+function describeMessage(message) {
+  const commit = parseCommitMessage(message);
+  const lines = message.replace(/\r\n/g, "\n").split("\n");
+  const footerText = commit.footers.map(footer => `${footer.token}: ${footer.value}`).join("\n");
+  const firstFooter = commit.footers[0] && lines.findIndex(line => line.startsWith(commit.footers[0].token));
+
+  return {
+    type: commit.header?.type || null,
+    scope: commit.header?.scope || null,
+    subject: commit.header?.description || null,
+    breaking: Boolean(commit.header?.breaking),
+    body: commit.body,
+    footers: commit.footers,
+    footerText,
+    parsed: Boolean(commit.header),
+    raw: { header: lines[0] || "", lines, footerBlank: firstFooter > 0 && lines[firstFooter - 1] === "" }
+  };
+}
+
+// Aplicar las reglas a un mensaje; devuelve errores (nivel 2) y advertencias (nivel 1)
+function lintCommit(message, rules) {
+  const commit = describeMessage(message);
+  const errors = [];
+  const warnings = [];
+
+  for (const [name, config] of Object.entries(rules)) {
+    const [level, when = "always", value] = [].concat(config);
+    if (!level) continue;
+
+    let problem = null;
+    if (name === "header-format") {
+      if (!commit.parsed) problem = "header must follow the format 'type(scope): subject'";
+    } else if (RULES[name] && (commit.parsed || !/^(type|scope|subject)-/.test(name))) {
+      const [holds, alwaysMessage, neverMessage = alwaysMessage] = RULES[name](commit, value);
+      if (when === "never" ? holds : !holds) problem = when === "never" ? neverMessage : alwaysMessage;
+    }
+
+    if (problem) (level === LEVELS.ERROR ? errors : warnings).push({ name, level, message: problem });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+async function importConfig(file) {
+  const module = await import(pathToFileURL(file).href);
+  return module.default ?? module;
+}
+
+// Resolver "extends": presets conocidos o paquetes instalados en el repositorio
+async function resolveExtends(config, root, warnings) {
+  let rules = {};
+  for (const name of [].concat(config.extends || [])) {
+    if (PRESETS[name]) {
+      rules = { ...rules, ...PRESETS[name] };
+      continue;
+    }
+    try {
+      const resolved = createRequire(path.join(root, "package.json")).resolve(name);
+      const parent = await importConfig(resolved);
+      rules = { ...rules, ...(await resolveExtends(parent, path.dirname(resolved), warnings)) };
+    } catch {
+      warnings.push(name);
+    }
+  }
+  return { ...rules, ...(config.rules || {}) };
+}
+
+// Buscar y cargar la configuración de commitlint del repositorio
+async function loadCommitlintConfig(root) {
+  let file = COMMITLINT_FILES.map(name => path.join(root, name)).find(existsSync);
+  let config;
+
+  if (file) {
+    config = /\.(c|m)?js$/.test(file) ? await importConfig(file) : JSON.parse(readFileSync(file, "utf8"));
+  } else {
+    const packagePath = path.join(root, "package.json");
+    config = existsSync(packagePath) ? JSON.parse(readFileSync(packagePath, "utf8")).commitlint : null;
+    file = config ? `${packagePath}#commitlint` : null;
+  }
+
+  if (!config) return null;
+
+  const unresolved = [];
+  const rules = await resolveExtends(config, root, unresolved);
+  return { file, rules, unresolved };
+}
+
+export {
+  LEVELS,
+  COMMITLINT_FILES,
+  rulesFromSpec,
+  applyLintRulesToSpec,
+  lintCommit,
+  loadCommitlintConfig
+}
@@ -0,0 +1,463 @@
+import { formatTypeList, formatConventionalRules, formatExamples, formatJson } from "./format.js";
+
+// Paquete de idioma: inglés
+const en = {
+  code: "en",
+  name: "English",
+
+  systemPrompt: (rules) =>
+    "You are an expert in writing commit messages in ENGLISH ONLY. ABSOLUTE RULES:\n" +
+    "1. ALL messages must be in English, NEVER in another language\n" +
+    "2. Concise title (max 50 characters)\n" +
+    "3. An explanatory body in English is MANDATORY\n" +
+    "4. Use Conventional Commits: '<type>(<scope>): <description IN ENGLISH>' (the scope is optional)\n" +
+    "5. Clear, technical language with bullet points IN ENGLISH\n" +
+    "6. Issue references only go in footers at the end (e.g. 'Refs: #123'), never in the title\n" +
+    "7. Use the imperative mood: 'add', 'fix', 'update', 'create'\n" +
+    "8. If you detect another language in your answer, FIX it immediately\n" +
+    "9. VALIDATION: Every message must read naturally in English",
+
+  typeDescriptions: {
+    feat: "New feature",
+    fix: "Bug fix",
+    docs: "Documentation",
+    style: "Formatting/structure",
+    refactor: "Restructuring without changing behavior",
+    perf: "Performance improvement",
+    test: "Tests",
+    chore: "Maintenance",
+    build: "Build system",
+    ci: "Continuous integration",
+    revert: "Revert changes"
+  },
+
+  // Textos de las reglas de Conventional Commits (ver formatConventionalRules)
+  conventional: {
+    scopeAllowed: (list) => `Scope (optional): ONLY one of ${list}`,
+    scopeSuggested: (list) => `Scope (optional): the affected module, e.g. ${list} (from the changed paths)`,
+    scopeFree: "Scope (optional): the affected module in lowercase, e.g. feat(auth): ...",
+    breaking: "Breaking change: add '!' before ':' and a 'BREAKING CHANGE: <description>' footer",
+    footers: (list) => `Footers (optional) at the end, after a blank line: ${list}`,
+    examples: "REPOSITORY STYLE (recent commits: mimic their scopes, tense and bullets, but follow the stated rules and language)"
+  },
+
+  // Keep a Changelog section titles
+  changelog: {
+    unreleased: "Unreleased",
+    added: "Added",
+    changed: "Changed",
+    deprecated: "Deprecated",
+    removed: "Removed",
+    fixed: "Fixed",
+    security: "Security",
+    breaking: "BREAKING:"
+  },
+
+  // Phrases of the message generated without a model (--offline), imperative like the prompts ask
+  heuristic: {
+    added: "add",
+    deleted: "remove",
+    modified: "update",
+    renamed: (from, to) => `rename ${from} to ${to}`,
+    files: (count) => count === 1 ? "1 file" : `${count} files`,
+    more: (count) => `and ${count} more files`
+  },
+
+  prompts: {
+    analyzeChunk: (chunk, chunkIndex, totalChunks, rules) => `Analyze this fragment of Git changes (part ${chunkIndex + 1} of ${totalChunks}) and answer ONLY IN ENGLISH:
+
+--- CONTEXT ---
+This is a fragment of a larger diff. Analyze ONLY this fragment and describe IN ENGLISH:
+1. Main type of changes (feat, fix, docs, style, refactor, etc.)
+2. Affected components/files
+3. Specific changes made
+4. Recurring patterns or themes
+
+--- FRAGMENT TO ANALYZE ---
+${chunk}
+
+--- RESPONSE FORMAT ---
+Reply ONLY with this JSON object (keep the keys exactly as shown, values IN ENGLISH):
+{
+  "tipo_principal": "${rules.types.join('|')}",
+  "componentes": ["component1", "component2"],
+  "cambios": [
+    "Specific change 1 IN ENGLISH",
+    "Specific change 2 IN ENGLISH"
+  ],
+  "contexto": "Short description of the overall purpose IN ENGLISH"
+}
+
+IMPORTANT: The whole answer must be in English.`,
+
+    singleCommit: (diff, rules) => `Generate EXACTLY 1 professional commit message ONLY IN ENGLISH following these ABSOLUTE RULES:
+
+--- RESPONSE FORMAT (JSON, ALL IN ENGLISH) ---
+Reply ONLY with this JSON object; the body holds the bullets separated by line breaks:
+${formatJson({
+  title: `<type>[(<scope>)][!]: <title in English (max ${rules.titleMaxLength} chars)>`,
+  body: "* <bullet 1 in imperative mood - MANDATORY main change>\n* <bullet 2 - RELEVANT secondary change if any>\n* <bullet N - additional NECESSARY technical details>"
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, en.conventional)}${formatExamples(rules.examples, en.conventional.examples)}
+
+--- ALLOWED TYPES (ONLY THESE) ---
+${formatTypeList(rules.types, en.typeDescriptions)}
+
+--- LANGUAGE RULES ---
+• Use the imperative mood: add, fix, update, create, remove, etc.
+• Every description must be in natural English
+• Body with detailed bullet points in English
+
+--- CHANGES TO DOCUMENT ---
+${diff}
+
+Generate EXACTLY 1 commit message IN ENGLISH following these rules.`,
+
+    commitFromAnalysis: (analysis, rules) => `Generate a professional commit message ONLY IN ENGLISH based on this consolidated analysis:
+
+--- CONSOLIDATED ANALYSIS ---
+Main type: ${analysis.tipo_principal}
+Affected components: ${analysis.componentes.join(', ')}
+Changes made:
+${analysis.cambios.map(c => `- ${c}`).join('\n')}
+
+General context: ${analysis.contexto_general}
+
+--- RESPONSE FORMAT (JSON, ALL IN ENGLISH) ---
+Reply ONLY with this JSON object; the body holds the bullets separated by line breaks:
+${formatJson({
+  title: `<type>[(<scope>)][!]: <title in English (max ${rules.titleMaxLength} chars)>`,
+  body: "* <bullet 1 - most important change>\n* <bullet 2 - relevant secondary change>\n* <bullet N - additional technical details>"
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, en.conventional)}
+
+--- STRICT RULES ---
+1. Use the identified main type: ${analysis.tipo_principal}
+2. Concise title summarizing the overall change IN ENGLISH
+3. Bullets explaining the most important changes IN ENGLISH
+4. Maximum ${rules.titleMaxLength} characters in the title
+5. Use the imperative mood: add, fix, update, create, remove
+
+Generate the JSON object of the commit message IN ENGLISH:`,
+
+    languageProblem: "the message is not entirely in English",
+
+    // --split groups: the type is already decided in the plan the user approved
+    requiredType: (type) => `
+
+--- REQUIRED TYPE ---
+This commit is a group of an approved plan: the title MUST use the type "${type}".`,
+
+    retryFeedback: (previous, problems) => `
+
+--- FIX THE PREVIOUS ATTEMPT ---
+${previous}
+
+Problems found:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Generate a NEW answer IN ENGLISH, in the same JSON format, that solves all of these problems.`,
+
+    refine: (feedback, message) => `Adjust this commit message according to the user's request, keeping the previous format and rules:
+
+--- CURRENT MESSAGE ---
+${message}
+
+--- REQUEST ---
+${feedback}
+
+Reply only with the JSON object of the complete message ("title" and "body") IN ENGLISH.`,
+
+    replaceBullet: (bullet, message) => `Rewrite ONLY this bullet of the commit message, with a different angle and IN ENGLISH:
+
+--- MESSAGE ---
+${message}
+
+--- BULLET TO CHANGE ---
+${bullet}
+
+Reply ONLY with this JSON object:
+${formatJson({ bullet: "<new bullet on one line, without a leading '*'>" })}`,
+
+    splitPlan: (units, rules) => `Group these staged changes into atomic, coherent commits (one purpose per commit: a feature, a fix, documentation...):
+
+--- CHANGE UNITS ---
+${units}
+
+--- ALLOWED TYPES ---
+${formatTypeList(rules.types, en.typeDescriptions)}
+
+--- RESPONSE FORMAT ---
+Reply ONLY with a JSON object listing the commits in the order they should be created (keep the keys exactly as shown):
+{
+  "commits": [
+    { "tipo": "feat", "unidades": [1, 2] },
+    { "tipo": "docs", "unidades": [3] }
+  ]
+}
+
+Every unit must appear in exactly one group. Do not separate changes that depend on each other.`,
+
+    pullRequest: (commits, { diff, analysis }) => `Write the title and description of a pull request ONLY IN ENGLISH from these commits and changes:
+
+--- COMMITS ---
+${commits}
+
+--- CHANGES ---
+${analysis ? `Main type: ${analysis.tipo_principal}
+Affected components: ${analysis.componentes.join(', ')}
+Changes made:
+${analysis.cambios.map(c => `- ${c}`).join('\n')}
+
+General context: ${analysis.contexto_general}` : diff}
+
+--- RESPONSE FORMAT (JSON, ALL IN ENGLISH) ---
+Reply ONLY with this JSON object; the description is Markdown:
+${formatJson({
+  title: "<PR title on one line, without '#', max 72 characters>",
+  body: "## Summary\n<1 to 3 sentences: what changes and why>\n\n## Changes\n- <main change>\n- <other relevant changes>\n\n## How to test\n- <steps or checks to review the PR>"
+})}`,
+
+    branchName: ({ task, diff }, numOptions, rules) => `Suggest EXACTLY ${numOptions} Git branch names for ${task ? "this task" : "these changes"}:
+
+--- ${task ? "TASK" : "CHANGES"} ---
+${task || diff}
+
+--- ALLOWED TYPES ---
+${formatTypeList(rules.types, en.typeDescriptions)}
+
+--- RESPONSE FORMAT ---
+Reply ONLY with a JSON object with ${numOptions} options; "scope" is optional (empty string if it does not apply) and "description" has 2 to 5 words IN ENGLISH:
+${formatJson({
+  branches: [
+    { type: "feat", scope: "auth", description: "google login" },
+    { type: "fix", scope: "", description: "email validation" }
+  ]
+})}`,
+
+    listCommits: (diff, numOptions, rules) => `Generate EXACTLY ${numOptions} SEMANTIC commit message options ONLY IN ENGLISH for these changes:
+
+--- CHANGES TO COMMIT ---
+${diff}
+
+--- RESPONSE FORMAT (JSON, ALL IN ENGLISH) ---
+Reply ONLY with a JSON object with ${numOptions} options; each body holds the bullets separated by line breaks:
+${formatJson({
+  options: [{ title: "<type>[(<scope>)][!]: <title IN ENGLISH>", body: "<body with bullets IN ENGLISH>" }]
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, en.conventional, { footers: false })}${formatExamples(rules.examples, en.conventional.examples)}
+
+Example of a correct option:
+${formatJson({
+  title: "feat: Implement biometric authentication",
+  body: "* Add fingerprint support\n* Integrate FaceID API\n* Create security tests"
+})}
+
+--- STRICT LANGUAGE RULES ---
+• Use the imperative mood: add, fix, update, create, remove, etc.
+• Every description must be in natural English
+• Body with detailed bullet points in English
+
+Generate ${numOptions} different options IN ENGLISH:`
+  },
+
+  validation: {
+    // Verbos en español/portugués que delatan un mensaje en otro idioma
+    forbiddenKeywords: [
+      'agregar', 'añadir', 'crear', 'actualizar', 'corregir', 'solucionar', 'arreglar',
+      'eliminar', 'implementar', 'mejorar', 'refactorizar', 'cambiar', 'modificar',
+      'adicionar', 'criar', 'atualizar', 'corrigir', 'melhorar', 'refatorar', 'alterar'
+    ],
+    expectedKeywords: [
+      'add', 'create', 'update', 'fix', 'remove', 'delete', 'implement', 'improve',
+      'refactor', 'change', 'modify', 'optimize', 'configure', 'integrate', 'rename', 'move'
+    ]
+  },
+
+  ui: {
+    apiKeyPrompt: (label) => `🔑 Enter your ${label} API key:`,
+    apiKeyInvalid: "Must be a valid key",
+    notGitRepo: "⚠️ Not a Git repository",
+    noStagedChanges: "ℹ️  No staged changes (run 'git add .' first)",
+    analyzing: "🧠 Analyzing changes...",
+    estimatedTokens: (tokens, limit) => `📊 Estimated tokens: ${tokens} (limit ${limit})`,
+    fitsSingleRequest: "✅ Diff fits in a single request",
+    splittingChunks: "🔄 Diff too long, splitting into chunks...",
+    chunksCreated: (count) => `📦 Split into ${count} chunks`,
+    analyzingChunks: (count) => `🔍 Analyzing ${count} chunks...`,
+    chunkAnalyzed: (done, total) => `   ✔ Chunk ${done}/${total} analyzed`,
+    chunkProgress: (done, total, tokens) => `${done}/${total} chunks analyzed (~${tokens} tokens received)`,
+    optionProgress: (done, total, tokens) => `${done}/${total} options generated (~${tokens} tokens received)`,
+    consolidating: "🔄 Consolidating analysis...",
+    chunkNotJson: (index) => `⚠️ Response for chunk ${index} is not valid JSON, processing manually...`,
+    chunkFallbackComponent: "code",
+    chunkFallbackChange: (index) => `Changes in fragment ${index}`,
+    listTooLong: "⚠️ Diff too long to generate multiple options, using chunk analysis...",
+    commitGenerated: "✅ Commit message generated in English",
+    attemptWrongLanguage: (attempt) => `⚠️ Attempt ${attempt}: message is not in English, regenerating...`,
+    forbiddenWordsDetected: "   - Words in another language detected",
+    forbiddenTitleDetected: "   - Title in another language detected",
+    attemptBadFormat: (attempt) => `⚠️ Attempt ${attempt}: message has an invalid format, retrying...`,
+    generationFailed: (attempts) => `❌ Could not generate a valid English message after ${attempts} attempts.`,
+    noValidOptions: "❌ Could not generate valid English options",
+    optionsGenerated: (count) => `✅ Generated ${count} options in English`,
+    regenerate: "♻️ Regenerate messages",
+    chooseMessage: "Choose a message:",
+    generatedMessage: "💡 Generated message:",
+    cancelled: "🚫 Operation cancelled",
+    creatingCommit: "Creating commit... 🚀",
+    commitCreated: "✅ Commit created successfully",
+    hookUsage: "Usage: CommitGhiranAi hook install|uninstall [--force]",
+    hookMissingFile: "⚠️ Missing commit message file path",
+    hookInstalled: (hookPath) => `✅ prepare-commit-msg hook installed at ${hookPath}`,
+    hookExists: (hookPath) => `⚠️ A hook already exists at ${hookPath}. Use --force to replace it (a backup will be kept)`,
+    hooksDirInvalid: (hooksDir) => `⚠️ ${hooksDir} is not a directory: check core.hooksPath in your git config`,
+    hookBackedUp: (backupPath) => `📦 Previous hook backed up to ${backupPath}`,
+    hookUninstalled: (hookPath) => `✅ Hook removed from ${hookPath}`,
+    hookBackupRestored: "♻️ Previous hook restored",
+    hookMissing: (hookPath) => `ℹ️  No hook installed at ${hookPath}`,
+    hookForeign: (hookPath) => `⚠️ The hook at ${hookPath} was not created by CommitGhiranAi, it will not be removed`,
+    apiError: (detail) => `❌ API error: ${detail}`,
+    commitFailed: "❌ git commit failed",
+    retrying: (attempt, max, seconds, reason) => `⏳ Retry ${attempt}/${max} in ${seconds}s: ${reason}`,
+    configUsage: "Usage: CommitGhiranAi config list | get <key> | set <key> <value> [--project]",
+    configUnknownKey: (key) => `⚠️ Unknown configuration key: ${key}`,
+    configSaved: (key, value, file) => `✅ ${key} = ${value} saved to ${file}`,
+    // Provider errors by code (see ProviderError in providers/errors.js)
+    providerErrors: {
+      timeout: ({ label }) => `${label} did not respond in time`,
+      network: ({ label, baseURL, detail }) => `Could not connect to ${label}${baseURL ? ` (is ${baseURL} available?)` : ""}: ${detail}`,
+      auth: ({ label, detail }) => `${label} rejected the API key: ${detail}`,
+      model_not_found: ({ label, detail }) => `Model or endpoint not found on ${label}: ${detail}`,
+      rate_limit: ({ label, detail }) => `Rate limit reached on ${label}: ${detail}`,
+      context_length: ({ label, detail }) => `The diff exceeds the model context on ${label}: ${detail}`,
+      server: ({ label, status, detail }) => `${label} server error${status ? ` (${status})` : ""}: ${detail}`,
+      bad_response: ({ label }) => `Unexpected response from ${label}`,
+      unknown_provider: ({ label, detail }) => `Unknown provider: ${label}. Available: ${detail}`,
+      unknown: ({ label, status, detail }) => `${label} API error${status ? ` (${status})` : ""}: ${detail}`
+    },
+    unsupportedLang: (lang, available) => `⚠️ Unsupported language: ${lang}. Available: ${available.join(", ")}`,
+    modelsHeader: (label, baseURL) => `📚 Known models for ${label} (${baseURL}):`,
+    modelsDefault: (model) => `  - ${model} (default)`,
+    // Configuration errors by failed rule (see ConfigError in config.js)
+    invalidConfig: (where, detail) => `⚠️ Invalid configuration${where ? ` (${where})` : ""}: ${detail}`,
+    configReadFailed: (file, reason) => `⚠️ Could not read ${file}: ${reason}`,
+    configSources: { env: "environment variables", flag: "flags" },
+    configIssues: {
+      unknownKey: ({ key }) => `unknown key "${key}"`,
+      string: ({ key }) => `${key} must be a string`,
+      enum: ({ key, values }) => `${key} must be one of: ${values.join(", ")}`,
+      pattern: ({ key, value }) => `${key} is not valid: ${value}`,
+      number: ({ key }) => `${key} must be a number`,
+      integer: ({ key }) => `${key} must be an integer`,
+      range: ({ key, min, max }) => `${key} must be between ${min} and ${max ?? "∞"}`,
+      boolean: ({ key }) => `${key} must be true or false`,
+      list: ({ key }) => `${key} must be a list of strings`,
+      listPattern: ({ key, values }) => `${key} contains invalid values: ${values.join(", ")}`,
+      empty: ({ key }) => `${key} cannot be empty`,
+      regex: ({ key, value }) => `${key} contains an invalid regular expression: ${value}`,
+      map: ({ key }) => `${key} must be a type → gitmoji object`,
+      gitmoji: ({ key, name, value }) => `${key}: unknown gitmoji for "${name}": ${value}`
+    },
+    missingApiKey: (envVar) => `⚠️ Missing API key: set ${envVar} or run "CommitGhiranAi auth login"`,
+    keySaved: (label, name, where) => `✅ ${label} key "${name}" saved to ${where}`,
+    keyRemoved: (label, name) => `🗑️ ${label} key "${name}" removed`,
+    keyNotFound: (label, name) => `ℹ️  No "${name}" key stored for ${label}`,
+    keysMigrated: (providers, backend) => `🔐 Keys for ${providers} moved from ~/.commitconfig.json to secure storage (${backend})`,
+    keyFromEnv: (envVar) => `${envVar} set`,
+    backendKeyring: "the system keyring (secret-tool)",
+    backendFile: (file) => `${file} (0600 permissions)`,
+    authBackend: (where) => `🔐 Keys are stored in ${where}`,
+    authUsage: "Usage: CommitGhiranAi auth login|logout|status [--provider <p>] [--key-name <name>] [--all]",
+    issueRequired: (branch) => `🎫 A ticket is required: ${branch ? `branch "${branch}"` : "the current branch"} does not contain one. Use --issue <ID>`,
+    lintViolation: (rule, message) => `   - ${message} [${rule}]`,
+    commitlintLoaded: (file) => `📏 Using commitlint rules from ${file}`,
+    commitlintUnresolved: (names) => `⚠️ Could not load ${names} (commitlint extends), ignoring it`,
+    commitlintFailed: (detail) => `⚠️ Could not read the commitlint configuration: ${detail}`,
+    reviewAction: "What do you want to do?",
+    actionCommit: "✅ Create the commit",
+    actionEditor: "📝 Edit in $EDITOR",
+    actionEditTitle: "✏️  Edit the title",
+    actionRefine: "💬 Ask the model for changes",
+    actionBullet: "🔀 Switch a bullet",
+    actionCancel: "🚫 Cancel",
+    titlePrompt: "Title:",
+    refinePrompt: "What should change? (e.g. \"shorter\", \"mention the migration\")",
+    chooseBullet: "Which bullet do you want to switch?",
+    editorEmpty: "⚠️ The edited message is empty, keeping the previous one",
+    refining: "💬 Adjusting the message...",
+    splitPlanning: "🧩 Grouping the changes into commits...",
+    splitFallback: "⚠️ Could not read the model's grouping, grouping by file type",
+    splitGroupMessage: (index, total, files) => `📝 Commit ${index}/${total}: ${files}`,
+    splitPlanTitle: (count) => `🧩 Plan with ${count} commits:`,
+    splitAccept: (count) => `✅ Create ${count} commits`,
+    splitMove: "↕️  Change the order",
+    splitChooseGroup: "Which commit do you want to move?",
+    splitChoosePosition: "To which position?",
+    splitApplying: (index, total, title) => `🚀 [${index}/${total}] ${title}`,
+    splitFailed: (detail) => `❌ Could not stage the commit: ${detail}`,
+    splitRestored: "↩️  The commits were undone and the index was restored",
+    splitDone: (count) => `✅ ${count} commits created`,
+    amendNoCommit: "⚠️ There is no commit to amend",
+    amendCurrent: (title) => `✏️  Current message: ${title}`,
+    rewriteProtected: (branch) => `🛡️ Branch "${branch}" is protected (protectedBranches). Use --force to rewrite its history`,
+    rewritePublished: (remotes) => `🛡️ The commits are already published in ${remotes}. Use --force to rewrite them (a push --force will be needed afterwards)`,
+    rewordUsage: "Usage: CommitGhiranAi reword <range> [--dry-run] [--force] [--yes]  (e.g. HEAD~3 or main..feature)",
+    rewordInvalidRange: (range) => `⚠️ Invalid commit range: ${range}`,
+    rewordEmpty: (range) => `ℹ️  The range ${range} contains no commits`,
+    rewordNotInHead: (range) => `⚠️ The commits in ${range} must be on the current branch`,
+    rewordMerges: "⚠️ The range contains merges; only commits without merges can be rewritten",
+    rewordGenerating: (index, total, sha, title) => `📝 [${index}/${total}] ${sha} ${title}`,
+    rewordBefore: "before",
+    rewordAfter: "after",
+    rewordConfirm: (count) => `Rewrite ${count} commits with the new messages?`,
+    rewordDone: (count, backup) => `✅ ${count} messages rewritten (to undo: git reset --keep ${backup})`,
+    prUsage: "Usage: CommitGhiranAi pr [--base <branch>] [--json]",
+    prNoBase: "⚠️ Could not find the base branch (origin/HEAD, main or master). Use --base <branch>",
+    prInvalidBase: (base) => `⚠️ No common ancestor found with ${base}`,
+    prNoCommits: (base) => `ℹ️  There are no new commits compared to ${base}`,
+    prSummarizing: (count, base) => `📝 Summarizing ${count} commits compared to ${base}...`,
+    changelogUsage: "Usage: CommitGhiranAi changelog [<from>..<to>] [--version <version>] [--json]",
+    changelogInvalidRange: (range) => `⚠️ Invalid commit range: ${range}`,
+    changelogEmpty: (range) => `ℹ️  The range ${range} contains no changelog entries`,
+    branchNoSource: "ℹ️  There are no changes. Describe the task: CommitGhiranAi branch \"google login\"",
+    branchGenerating: "🌿 Generating branch names...",
+    branchNone: "❌ The model did not return valid branch names",
+    branchChoose: "Choose the branch name:",
+    branchRegenerate: "♻️ Generate other names",
+    branchCustom: "✏️  Type another name",
+    branchCustomPrompt: "Branch name:",
+    branchInvalid: (name) => `"${name}" is not a valid branch name`,
+    branchTaken: (name) => `Branch "${name}" already exists`,
+    branchSwitch: (name) => `Create branch ${name} and switch to it?`,
+    branchSwitched: (name) => `✅ You are now on branch ${name}`,
+    branchSwitchFailed: (name) => `❌ git switch -c ${name} failed`,
+    styleExamples: (count) => `📚 Using ${count} commits from the history as style reference`,
+    costEstimate: (requests, tokens, cost) => `💰 Estimated cost: ${requests} request(s), ~${tokens} tokens, ${cost ?? "unknown price (set priceInput and priceOutput)"}`,
+    costConfirm: (cost) => `This will cost about ${cost}. Do you want to continue 💸?`,
+    costAboveThreshold: (cost, threshold) => `💸 The estimated cost (${cost}) reaches the configured threshold (${threshold}). Use --yes to continue without confirming`,
+    usageUsage: "Usage: CommitGhiranAi usage [--days <n>] [--all] [--json]",
+    usageEmpty: (days) => `📭 No usage recorded in the last ${days} days`,
+    usageHeading: (repo, days) => `📈 Usage for ${repo} in the last ${days} days:\n`,
+    usageAllRepos: "all repositories",
+    usageColumns: { date: "Date", repo: "Repository", model: "Model", requests: "Requests", input: "Input tokens", output: "Output tokens", cost: "Cost" },
+    usageTotal: "Total",
+    usageEstimated: (count) => `\nℹ️ ${count} request(s) without tokens reported by the API: estimated with the tokenizer`,
+    usageUnpriced: (count) => `ℹ️ ${count} request(s) to models with unknown pricing are not included in the cost (?)`,
+    cachedResponse: "♻️ Response reused from the cache",
+    cacheCleared: (count, dir) => `🧹 ${count} response(s) removed from the cache (${dir})`,
+    cacheUsage: "Usage: CommitGhiranAi cache clear",
+    offlineGenerating: "🧩 Generating the message from the diff without a model...",
+    offlineFallback: "🧩 Using the generator without a model (--no-offline-fallback to disable it)",
+    offlineInvalid: "❌ The message generated without a model does not pass validation; use the model or write it by hand",
+    offlineEmpty: "❌ There are no files in the changes to generate the message without a model"
+  }
+};
+
+export { en }
@@ -0,0 +1,474 @@
+import { formatTypeList, formatConventionalRules, formatExamples, formatJson } from "./format.js";
+
+// Paquete de idioma: español (predeterminado)
+const es = {
+  code: "es",
+  name: "Español",
+
+  systemPrompt: (rules) =>
+    "Eres un experto en mensajes de commit en ESPAÑOL ÚNICAMENTE. REGLAS ABSOLUTAS:\n" +
+    "1. TODOS los mensajes deben estar en español, NUNCA en inglés\n" +
+    `2. Título conciso (máx ${rules.titleMaxLength} caracteres) SIN acentos\n` +
+    "3. Cuerpo explicativo OBLIGATORIO en español\n" +
+    "4. Usa Conventional Commits: '<tipo>(<scope>): <descripción EN ESPAÑOL>' (el scope es opcional)\n" +
+    "5. Lenguaje claro y técnico con viñetas EN ESPAÑOL\n" +
+    "6. Las referencias a issues sólo van en footers al final (p. ej. 'Refs: #123'), nunca en el título\n" +
+    "7. PROHÍBIDO usar palabras en inglés como 'add', 'fix', 'update', 'create', etc.\n" +
+    "8. Usa verbos en infinitivo en español: 'agregar', 'corregir', 'actualizar', 'crear'\n" +
+    "9. Si detectas inglés en tu respuesta, CORRIGE inmediatamente al español\n" +
+    "10. VALIDACIÓN: Cada mensaje debe sonar natural en español latino",
+
+  typeDescriptions: {
+    feat: "Nueva funcionalidad",
+    fix: "Corrección de errores",
+    docs: "Documentación",
+    style: "Formato/estructura",
+    refactor: "Reestructuración sin cambiar funcionalidad",
+    perf: "Mejora de rendimiento",
+    test: "Pruebas",
+    chore: "Mantenimiento",
+    build: "Sistema de compilación",
+    ci: "Integración continua",
+    revert: "Revertir cambios"
+  },
+
+  // Textos de las reglas de Conventional Commits (ver formatConventionalRules)
+  conventional: {
+    scopeAllowed: (list) => `Scope (opcional): SOLO uno de ${list}`,
+    scopeSuggested: (list) => `Scope (opcional): el módulo afectado, p. ej. ${list} (según las rutas modificadas)`,
+    scopeFree: "Scope (opcional): el módulo afectado en minúsculas, p. ej. feat(auth): ...",
+    breaking: "Cambio incompatible: agrega '!' antes de ':' y un footer 'BREAKING CHANGE: <descripción>'",
+    footers: (list) => `Footers (opcionales) al final, tras una línea en blanco: ${list}`,
+    examples: "ESTILO DEL REPOSITORIO (commits recientes: imita sus scopes, tiempo verbal y viñetas, pero respeta las reglas y el idioma indicados)"
+  },
+
+  // Títulos de las secciones de Keep a Changelog (traducción oficial)
+  changelog: {
+    unreleased: "Sin publicar",
+    added: "Añadido",
+    changed: "Cambiado",
+    deprecated: "Obsoleto",
+    removed: "Eliminado",
+    fixed: "Arreglado",
+    security: "Seguridad",
+    breaking: "INCOMPATIBLE:"
+  },
+
+  // Frases del mensaje sin modelo (--offline), con los verbos en infinitivo como piden los prompts
+  heuristic: {
+    added: "agregar",
+    deleted: "eliminar",
+    modified: "actualizar",
+    renamed: (from, to) => `renombrar ${from} a ${to}`,
+    files: (count) => count === 1 ? "1 archivo" : `${count} archivos`,
+    more: (count) => `y ${count} archivos más`
+  },
+
+  prompts: {
+    analyzeChunk: (chunk, chunkIndex, totalChunks, rules) => `Analiza este fragmento de cambios Git (parte ${chunkIndex + 1} de ${totalChunks}) y responde ÚNICAMENTE EN ESPAÑOL:
+
+--- CONTEXTO ---
+Este es un fragmento de un diff más grande. Analiza SOLO este fragmento y describe EN ESPAÑOL:
+1. Tipo de cambios principales (feat, fix, docs, style, refactor, etc.)
+2. Componentes/archivos afectados
+3. Cambios específicos realizados
+4. Patrones o temas recurrentes
+
+--- FRAGMENTO A ANALIZAR ---
+${chunk}
+
+--- FORMATO DE RESPUESTA EN ESPAÑOL ---
+Responde SOLO con este objeto JSON (mantén las claves exactamente así, valores EN ESPAÑOL):
+{
+  "tipo_principal": "${rules.types.join('|')}",
+  "componentes": ["componente1", "componente2"],
+  "cambios": [
+    "Cambio específico 1 EN ESPAÑOL",
+    "Cambio específico 2 EN ESPAÑOL"
+  ],
+  "contexto": "Breve descripción del propósito general EN ESPAÑOL"
+}
+
+IMPORTANTE: Toda la respuesta debe estar en español. No uses palabras en inglés.`,
+
+    singleCommit: (diff, rules) => `Genera EXACTAMENTE 1 mensaje de commit profesional ÚNICAMENTE EN ESPAÑOL con estas REGLAS ABSOLUTAS:
+
+--- FORMATO DE RESPUESTA (JSON, TODO EN ESPAÑOL) ---
+Responde SOLO con este objeto JSON; el cuerpo lleva las viñetas separadas por saltos de línea:
+${formatJson({
+  title: `<tipo>[(<scope>)][!]: <título en español (max ${rules.titleMaxLength} chars, sin acentos)>`,
+  body: "* <viñeta 1 en infinitivo español - cambio principal OBLIGATORIO>\n* <viñeta 2 en español - cambio secundario RELEVANTE si aplica>\n* <viñeta N en español - detalles técnicos adicionales NECESARIOS>"
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, es.conventional)}${formatExamples(rules.examples, es.conventional.examples)}
+
+--- TIPOS PERMITIDOS (SOLO ESTOS) ---
+${formatTypeList(rules.types, es.typeDescriptions)}
+
+--- REGLAS DE IDIOMA ESPAÑOL ---
+• PROHÍBIDO usar palabras en inglés como: add, fix, update, create, remove, etc.
+• USA SOLO verbos en español: agregar, corregir, actualizar, crear, eliminar, etc.
+• Toda descripción debe estar en español natural
+• Sin acentos en el título para compatibilidad
+• Cuerpo con viñetas detalladas en español
+
+--- CAMBIOS A DOCUMENTAR ---
+${diff}
+
+Genera EXACTAMENTE 1 commit message EN ESPAÑOL siguiendo estas reglas.`,
+
+    commitFromAnalysis: (analysis, rules) => `Genera un mensaje de commit profesional ÚNICAMENTE EN ESPAÑOL basado en este análisis consolidado:
+
+--- ANÁLISIS CONSOLIDADO ---
+Tipo principal: ${analysis.tipo_principal}
+Componentes afectados: ${analysis.componentes.join(', ')}
+Cambios realizados:
+${analysis.cambios.map(c => `- ${c}`).join('\n')}
+
+Contexto general: ${analysis.contexto_general}
+
+--- FORMATO DE RESPUESTA (JSON, TODO EN ESPAÑOL) ---
+Responde SOLO con este objeto JSON; el cuerpo lleva las viñetas separadas por saltos de línea:
+${formatJson({
+  title: `<tipo>[(<scope>)][!]: <título en español (max ${rules.titleMaxLength} chars, sin acentos)>`,
+  body: "* <viñeta 1 en español - cambio principal más importante>\n* <viñeta 2 en español - cambio secundario relevante>\n* <viñeta N en español - detalles técnicos adicionales>"
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, es.conventional)}
+
+--- REGLAS ESTRICTAS DE IDIOMA ---
+1. Usa el tipo principal identificado: ${analysis.tipo_principal}
+2. Título conciso que resuma el cambio general EN ESPAÑOL
+3. Viñetas que expliquen los cambios más importantes EN ESPAÑOL
+4. Máximo ${rules.titleMaxLength} caracteres en el título
+5. Español sin acentos
+6. PROHÍBIDO usar palabras en inglés
+7. Usa verbos en infinitivo español: agregar, corregir, actualizar, crear, eliminar
+
+Genera el objeto JSON del mensaje de commit EN ESPAÑOL:`,
+
+    languageProblem: "el mensaje no está completamente en español",
+
+    // Grupos de --split: el tipo ya está decidido en el plan que aprobó el usuario
+    requiredType: (type) => `
+
+--- TIPO OBLIGATORIO ---
+Este commit es un grupo de un plan ya aprobado: el título DEBE usar el tipo "${type}".`,
+
+    retryFeedback: (previous, problems) => `
+
+--- CORRIGE EL INTENTO ANTERIOR ---
+${previous}
+
+Problemas detectados:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Genera una respuesta NUEVA EN ESPAÑOL, con el mismo formato JSON, que resuelva todos estos problemas.`,
+
+    refine: (feedback, message) => `Ajusta este mensaje de commit según la indicación del usuario, manteniendo el formato y las reglas anteriores:
+
+--- MENSAJE ACTUAL ---
+${message}
+
+--- INDICACIÓN ---
+${feedback}
+
+Responde sólo con el objeto JSON del mensaje completo ("title" y "body") EN ESPAÑOL.`,
+
+    replaceBullet: (bullet, message) => `Reescribe SOLO esta viñeta del mensaje de commit, con otro enfoque y EN ESPAÑOL:
+
+--- MENSAJE ---
+${message}
+
+--- VIÑETA A CAMBIAR ---
+${bullet}
+
+Responde SOLO con este objeto JSON:
+${formatJson({ bullet: "<nueva viñeta en una línea, sin '*' al inicio>" })}`,
+
+    splitPlan: (units, rules) => `Agrupa estos cambios preparados en commits atómicos y coherentes (un propósito por commit: una funcionalidad, una corrección, documentación...):
+
+--- UNIDADES DE CAMBIO ---
+${units}
+
+--- TIPOS PERMITIDOS ---
+${formatTypeList(rules.types, es.typeDescriptions)}
+
+--- FORMATO DE RESPUESTA ---
+Responde SOLO con un objeto JSON con los commits en el orden en que deben crearse (mantén las claves exactamente así):
+{
+  "commits": [
+    { "tipo": "feat", "unidades": [1, 2] },
+    { "tipo": "docs", "unidades": [3] }
+  ]
+}
+
+Cada unidad debe aparecer en un solo grupo. No separes cambios que dependen entre sí.`,
+
+    pullRequest: (commits, { diff, analysis }) => `Escribe el título y la descripción de un pull request ÚNICAMENTE EN ESPAÑOL a partir de estos commits y cambios:
+
+--- COMMITS ---
+${commits}
+
+--- CAMBIOS ---
+${analysis ? `Tipo principal: ${analysis.tipo_principal}
+Componentes afectados: ${analysis.componentes.join(', ')}
+Cambios realizados:
+${analysis.cambios.map(c => `- ${c}`).join('\n')}
+
+Contexto general: ${analysis.contexto_general}` : diff}
+
+--- FORMATO DE RESPUESTA (JSON, TODO EN ESPAÑOL) ---
+Responde SOLO con este objeto JSON; la descripción va en Markdown:
+${formatJson({
+  title: "<título del PR en una línea, sin '#', máx 72 caracteres>",
+  body: "## Resumen\n<1 a 3 frases: qué cambia y por qué>\n\n## Cambios\n- <cambio principal>\n- <otros cambios relevantes>\n\n## Cómo probar\n- <pasos o comprobaciones para revisar el PR>"
+})}`,
+
+    branchName: ({ task, diff }, numOptions, rules) => `Sugiere EXACTAMENTE ${numOptions} nombres de rama Git para ${task ? "esta tarea" : "estos cambios"}:
+
+--- ${task ? "TAREA" : "CAMBIOS"} ---
+${task || diff}
+
+--- TIPOS PERMITIDOS ---
+${formatTypeList(rules.types, es.typeDescriptions)}
+
+--- FORMATO DE RESPUESTA ---
+Responde SOLO con un objeto JSON con ${numOptions} opciones; "scope" es opcional (cadena vacía si no aplica) y "description" tiene de 2 a 5 palabras EN ESPAÑOL:
+${formatJson({
+  branches: [
+    { type: "feat", scope: "auth", description: "login con google" },
+    { type: "fix", scope: "", description: "validacion de correo" }
+  ]
+})}`,
+
+    listCommits: (diff, numOptions, rules) => `Genera EXACTAMENTE ${numOptions} opciones de mensajes de commit SEMÁNTICOS ÚNICAMENTE EN ESPAÑOL para estos cambios:
+
+--- CAMBIOS A COMMITIR ---
+${diff}
+
+--- FORMATO DE RESPUESTA (JSON, TODO EN ESPAÑOL) ---
+Responde SOLO con un objeto JSON con ${numOptions} opciones; cada cuerpo lleva las viñetas separadas por saltos de línea:
+${formatJson({
+  options: [{ title: "<tipo>[(<scope>)][!]: <título EN ESPAÑOL>", body: "<cuerpo con viñetas EN ESPAÑOL>" }]
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, es.conventional, { footers: false })}${formatExamples(rules.examples, es.conventional.examples)}
+
+Ejemplo de una opción correcta:
+${formatJson({
+  title: "feat: Implementar autenticacion biometrica",
+  body: "* Añadir soporte para huella digital\n* Integrar API de FaceID\n* Crear tests de seguridad"
+})}
+
+--- REGLAS ESTRICTAS DE IDIOMA ---
+• PROHÍBIDO usar palabras en inglés como: add, fix, update, create, remove, etc.
+• USA SOLO verbos en español: agregar, corregir, actualizar, crear, eliminar, etc.
+• Toda descripción debe estar en español natural
+• Sin acentos en el título para compatibilidad
+• Cuerpo con viñetas detalladas en español
+
+Genera ${numOptions} opciones diferentes EN ESPAÑOL:`
+  },
+
+  validation: {
+    // Palabras clave en inglés que NO deben aparecer en commits
+    forbiddenKeywords: [
+      'add', 'added', 'adding', 'create', 'created', 'creating', 'update', 'updated', 'updating',
+      'fix', 'fixed', 'fixing', 'remove', 'removed', 'removing', 'delete', 'deleted', 'deleting',
+      'implement', 'implemented', 'implementing', 'improve', 'improved', 'improving',
+      'refactor', 'refactored', 'refactoring', 'change', 'changed', 'changing',
+      'modify', 'modified', 'modifying', 'enhance', 'enhanced', 'enhancing'
+    ],
+    // Palabras clave en español que SÍ deben aparecer
+    expectedKeywords: [
+      'agregar', 'añadir', 'crear', 'actualizar', 'corregir', 'solucionar', 'arreglar',
+      'eliminar', 'remover', 'implementar', 'mejorar', 'refactorizar', 'cambiar',
+      'modificar', 'optimizar', 'configurar', 'integrar', 'desarrollar'
+    ]
+  },
+
+  ui: {
+    apiKeyPrompt: (label) => `🔑 Ingresa tu API key de ${label}:`,
+    apiKeyInvalid: "Debe ser una clave válida",
+    notGitRepo: "⚠️ No es un repositorio Git",
+    noStagedChanges: "ℹ️  No hay cambios preparados (usa 'git add .' primero)",
+    analyzing: "🧠 Analizando cambios...",
+    estimatedTokens: (tokens, limit) => `📊 Tokens estimados: ${tokens} (límite ${limit})`,
+    fitsSingleRequest: "✅ Diff cabe en una sola solicitud",
+    splittingChunks: "🔄 Diff muy largo, dividiendo en chunks...",
+    chunksCreated: (count) => `📦 Dividido en ${count} chunks`,
+    analyzingChunks: (count) => `🔍 Analizando ${count} chunks...`,
+    chunkAnalyzed: (done, total) => `   ✔ Chunk ${done}/${total} analizado`,
+    chunkProgress: (done, total, tokens) => `${done}/${total} chunks analizados (~${tokens} tokens recibidos)`,
+    optionProgress: (done, total, tokens) => `${done}/${total} opciones generadas (~${tokens} tokens recibidos)`,
+    consolidating: "🔄 Consolidando análisis...",
+    chunkNotJson: (index) => `⚠️ Respuesta no es JSON válido para chunk ${index}, procesando manualmente...`,
+    chunkFallbackComponent: "codigo",
+    chunkFallbackChange: (index) => `Cambios en fragmento ${index}`,
+    listTooLong: "⚠️ Diff muy largo para generar múltiples opciones, usando análisis por chunks...",
+    commitGenerated: "✅ Commit generado en español correctamente",
+    attemptWrongLanguage: (attempt) => `⚠️ Intento ${attempt}: mensaje contiene inglés, regenerando en español...`,
+    forbiddenWordsDetected: "   - Detectadas palabras en inglés",
+    forbiddenTitleDetected: "   - Título en inglés detectado",
+    attemptBadFormat: (attempt) => `⚠️ Intento ${attempt}: mensaje no cumple formato, reintentando...`,
+    generationFailed: (attempts) => `❌ No se pudo generar un mensaje válido en español después de ${attempts} intentos.`,
+    noValidOptions: "❌ No se pudieron generar opciones válidas en español",
+    optionsGenerated: (count) => `✅ Generadas ${count} opciones en español`,
+    regenerate: "♻️ Regenerar mensajes",
+    chooseMessage: "Elige un mensaje:",
+    generatedMessage: "💡 Mensaje generado:",
+    cancelled: "🚫 Operación cancelada",
+    creatingCommit: "Creando commit... 🚀",
+    commitCreated: "✅ Commit creado exitosamente",
+    hookUsage: "Uso: CommitGhiranAi hook install|uninstall [--force]",
+    hookMissingFile: "⚠️ Falta la ruta del archivo de mensaje del commit",
+    hookInstalled: (hookPath) => `✅ Hook prepare-commit-msg instalado en ${hookPath}`,
+    hookExists: (hookPath) => `⚠️ Ya existe un hook en ${hookPath}. Usa --force para reemplazarlo (se guardará un respaldo)`,
+    hooksDirInvalid: (hooksDir) => `⚠️ ${hooksDir} no es un directorio: revisa core.hooksPath en la configuración de git`,
+    hookBackedUp: (backupPath) => `📦 Hook anterior respaldado en ${backupPath}`,
+    hookUninstalled: (hookPath) => `✅ Hook eliminado de ${hookPath}`,
+    hookBackupRestored: "♻️ Se restauró el hook anterior",
+    hookMissing: (hookPath) => `ℹ️  No hay hook instalado en ${hookPath}`,
+    hookForeign: (hookPath) => `⚠️ El hook en ${hookPath} no fue creado por CommitGhiranAi, no se eliminará`,
+    apiError: (detail) => `❌ Error en la API: ${detail}`,
+    commitFailed: "❌ git commit terminó con error",
+    retrying: (attempt, max, seconds, reason) => `⏳ Reintento ${attempt}/${max} en ${seconds}s: ${reason}`,
+    configUsage: "Uso: CommitGhiranAi config list | get <clave> | set <clave> <valor> [--project]",
+    configUnknownKey: (key) => `⚠️ Clave de configuración desconocida: ${key}`,
+    configSaved: (key, value, file) => `✅ ${key} = ${value} guardado en ${file}`,
+    // Errores de los proveedores según su código (ver ProviderError en providers/errors.js)
+    providerErrors: {
+      timeout: ({ label }) => `${label} no respondió a tiempo`,
+      network: ({ label, baseURL, detail }) => `No se pudo conectar con ${label}${baseURL ? ` (¿está disponible ${baseURL}?)` : ""}: ${detail}`,
+      auth: ({ label, detail }) => `${label} rechazó la API key: ${detail}`,
+      model_not_found: ({ label, detail }) => `Modelo o endpoint no encontrado en ${label}: ${detail}`,
+      rate_limit: ({ label, detail }) => `Límite de solicitudes alcanzado en ${label}: ${detail}`,
+      context_length: ({ label, detail }) => `El diff excede el contexto del modelo en ${label}: ${detail}`,
+      server: ({ label, status, detail }) => `Error del servidor de ${label}${status ? ` (${status})` : ""}: ${detail}`,
+      bad_response: ({ label }) => `Respuesta inesperada de ${label}`,
+      unknown_provider: ({ label, detail }) => `Proveedor desconocido: ${label}. Disponibles: ${detail}`,
+      unknown: ({ label, status, detail }) => `Error en la API de ${label}${status ? ` (${status})` : ""}: ${detail}`
+    },
+    unsupportedLang: (lang, available) => `⚠️ Idioma no soportado: ${lang}. Disponibles: ${available.join(", ")}`,
+    modelsHeader: (label, baseURL) => `📚 Modelos conocidos de ${label} (${baseURL}):`,
+    modelsDefault: (model) => `  - ${model} (por defecto)`,
+    // Errores de configuración según la regla que no se cumple (ver ConfigError en config.js)
+    invalidConfig: (where, detail) => `⚠️ Configuración inválida${where ? ` (${where})` : ""}: ${detail}`,
+    configReadFailed: (file, reason) => `⚠️ No se pudo leer ${file}: ${reason}`,
+    configSources: { env: "variables de entorno", flag: "flags" },
+    configIssues: {
+      unknownKey: ({ key }) => `clave desconocida "${key}"`,
+      string: ({ key }) => `${key} debe ser un texto`,
+      enum: ({ key, values }) => `${key} debe ser uno de: ${values.join(", ")}`,
+      pattern: ({ key, value }) => `${key} no es válido: ${value}`,
+      number: ({ key }) => `${key} debe ser un número`,
+      integer: ({ key }) => `${key} debe ser un entero`,
+      range: ({ key, min, max }) => `${key} debe estar entre ${min} y ${max ?? "∞"}`,
+      boolean: ({ key }) => `${key} debe ser true o false`,
+      list: ({ key }) => `${key} debe ser una lista de textos`,
+      listPattern: ({ key, values }) => `${key} contiene valores no válidos: ${values.join(", ")}`,
+      empty: ({ key }) => `${key} no puede estar vacío`,
+      regex: ({ key, value }) => `${key} contiene una expresión regular no válida: ${value}`,
+      map: ({ key }) => `${key} debe ser un objeto tipo → gitmoji`,
+      gitmoji: ({ key, name, value }) => `${key}: gitmoji desconocido para "${name}": ${value}`
+    },
+    missingApiKey: (envVar) => `⚠️ Falta la API key: define ${envVar} o ejecuta "CommitGhiranAi auth login"`,
+    keySaved: (label, name, where) => `✅ Clave "${name}" de ${label} guardada en ${where}`,
+    keyRemoved: (label, name) => `🗑️ Clave "${name}" de ${label} eliminada`,
+    keyNotFound: (label, name) => `ℹ️  No hay una clave "${name}" guardada para ${label}`,
+    keysMigrated: (providers, backend) => `🔐 Claves de ${providers} movidas de ~/.commitconfig.json al almacén seguro (${backend})`,
+    keyFromEnv: (envVar) => `${envVar} definida`,
+    backendKeyring: "el llavero del sistema (secret-tool)",
+    backendFile: (file) => `${file} (permisos 0600)`,
+    authBackend: (where) => `🔐 Las claves se guardan en ${where}`,
+    authUsage: "Uso: CommitGhiranAi auth login|logout|status [--provider <p>] [--key-name <nombre>] [--all]",
+    issueRequired: (branch) => `🎫 Se requiere un ticket: la rama ${branch ? `"${branch}"` : "actual"} no contiene ninguno. Usa --issue <ID>`,
+    lintViolation: (rule, message) => `   - ${message} [${rule}]`,
+    commitlintLoaded: (file) => `📏 Usando las reglas de commitlint de ${file}`,
+    commitlintUnresolved: (names) => `⚠️ No se pudo cargar ${names} (extends de commitlint), se ignora`,
+    commitlintFailed: (detail) => `⚠️ No se pudo leer la configuración de commitlint: ${detail}`,
+    reviewAction: "¿Qué quieres hacer?",
+    actionCommit: "✅ Crear el commit",
+    actionEditor: "📝 Editar en $EDITOR",
+    actionEditTitle: "✏️  Editar el título",
+    actionRefine: "💬 Pedir cambios al modelo",
+    actionBullet: "🔀 Cambiar una viñeta",
+    actionCancel: "🚫 Cancelar",
+    titlePrompt: "Título:",
+    refinePrompt: "¿Qué cambio quieres? (p. ej. \"más corto\", \"menciona la migración\")",
+    chooseBullet: "¿Qué viñeta quieres cambiar?",
+    editorEmpty: "⚠️ El mensaje editado está vacío, se mantiene el anterior",
+    refining: "💬 Ajustando el mensaje...",
+    splitPlanning: "🧩 Agrupando los cambios en commits...",
+    splitFallback: "⚠️ No se pudo leer la agrupación del modelo, se agrupa por tipo de archivo",
+    splitGroupMessage: (index, total, files) => `📝 Commit ${index}/${total}: ${files}`,
+    splitPlanTitle: (count) => `🧩 Plan de ${count} commits:`,
+    splitAccept: (count) => `✅ Crear ${count} commits`,
+    splitMove: "↕️  Cambiar el orden",
+    splitChooseGroup: "¿Qué commit quieres mover?",
+    splitChoosePosition: "¿A qué posición?",
+    splitApplying: (index, total, title) => `🚀 [${index}/${total}] ${title}`,
+    splitFailed: (detail) => `❌ No se pudo preparar el commit: ${detail}`,
+    splitRestored: "↩️  Se deshicieron los commits y se restauró el índice",
+    splitDone: (count) => `✅ ${count} commits creados`,
+    amendNoCommit: "⚠️ No hay ningún commit que corregir",
+    amendCurrent: (title) => `✏️  Mensaje actual: ${title}`,
+    rewriteProtected: (branch) => `🛡️ La rama "${branch}" está protegida (protectedBranches). Usa --force para reescribir su historia`,
+    rewritePublished: (remotes) => `🛡️ Los commits ya están publicados en ${remotes}. Usa --force para reescribirlos (después hará falta push --force)`,
+    rewordUsage: "Uso: CommitGhiranAi reword <rango> [--dry-run] [--force] [--yes]  (p. ej. HEAD~3 o main..feature)",
+    rewordInvalidRange: (range) => `⚠️ Rango de commits no válido: ${range}`,
+    rewordEmpty: (range) => `ℹ️  El rango ${range} no contiene commits`,
+    rewordNotInHead: (range) => `⚠️ Los commits de ${range} deben estar en la rama actual`,
+    rewordMerges: "⚠️ El rango contiene merges; sólo se pueden reescribir commits sin merges",
+    rewordGenerating: (index, total, sha, title) => `📝 [${index}/${total}] ${sha} ${title}`,
+    rewordBefore: "antes",
+    rewordAfter: "después",
+    rewordConfirm: (count) => `¿Reescribir ${count} commits con los mensajes nuevos?`,
+    rewordDone: (count, backup) => `✅ ${count} mensajes reescritos (para deshacerlo: git reset --keep ${backup})`,
+    prUsage: "Uso: CommitGhiranAi pr [--base <rama>] [--json]",
+    prNoBase: "⚠️ No se encontró la rama base (origin/HEAD, main o master). Usa --base <rama>",
+    prInvalidBase: (base) => `⚠️ No se encontró un ancestro común con ${base}`,
+    prNoCommits: (base) => `ℹ️  No hay commits nuevos respecto a ${base}`,
+    prSummarizing: (count, base) => `📝 Resumiendo ${count} commits respecto a ${base}...`,
+    changelogUsage: "Uso: CommitGhiranAi changelog [<desde>..<hasta>] [--version <versión>] [--json]",
+    changelogInvalidRange: (range) => `⚠️ Rango de commits no válido: ${range}`,
+    changelogEmpty: (range) => `ℹ️  El rango ${range} no contiene cambios para el changelog`,
+    branchNoSource: "ℹ️  No hay cambios. Describe la tarea: CommitGhiranAi branch \"login con google\"",
+    branchGenerating: "🌿 Generando nombres de rama...",
+    branchNone: "❌ El modelo no devolvió nombres de rama válidos",
+    branchChoose: "Elige el nombre de la rama:",
+    branchRegenerate: "♻️ Generar otros nombres",
+    branchCustom: "✏️  Escribir otro nombre",
+    branchCustomPrompt: "Nombre de la rama:",
+    branchInvalid: (name) => `"${name}" no es un nombre de rama válido`,
+    branchTaken: (name) => `La rama "${name}" ya existe`,
+    branchSwitch: (name) => `¿Crear la rama ${name} y cambiarse a ella?`,
+    branchSwitched: (name) => `✅ Ahora estás en la rama ${name}`,
+    branchSwitchFailed: (name) => `❌ git switch -c ${name} terminó con error`,
+    styleExamples: (count) => `📚 Usando ${count} commits del historial como referencia de estilo`,
+    costEstimate: (requests, tokens, cost) => `💰 Costo estimado: ${requests} solicitud(es), ~${tokens} tokens, ${cost ?? "precio desconocido (configura priceInput y priceOutput)"}`,
+    costConfirm: (cost) => `Esto costará aproximadamente ${cost}. ¿Deseas continuar 💸?`,
+    costAboveThreshold: (cost, threshold) => `💸 El costo estimado (${cost}) alcanza el umbral configurado (${threshold}). Usa --yes para continuar sin confirmar`,
+    usageUsage: "Uso: CommitGhiranAi usage [--days <n>] [--all] [--json]",
+    usageEmpty: (days) => `📭 No hay uso registrado en los últimos ${days} días`,
+    usageHeading: (repo, days) => `📈 Uso de ${repo} en los últimos ${days} días:\n`,
+    usageAllRepos: "todos los repositorios",
+    usageColumns: { date: "Fecha", repo: "Repositorio", model: "Modelo", requests: "Solicitudes", input: "Tokens entrada", output: "Tokens salida", cost: "Costo" },
+    usageTotal: "Total",
+    usageEstimated: (count) => `\nℹ️ ${count} solicitud(es) sin tokens informados por la API: se estimaron con el tokenizador`,
+    usageUnpriced: (count) => `ℹ️ ${count} solicitud(es) de modelos sin precio conocido no suman al costo (?)`,
+    cachedResponse: "♻️ Respuesta reutilizada de la caché",
+    cacheCleared: (count, dir) => `🧹 ${count} respuesta(s) eliminada(s) de la caché (${dir})`,
+    cacheUsage: "Uso: CommitGhiranAi cache clear",
+    offlineGenerating: "🧩 Generando el mensaje sin modelo a partir del diff...",
+    offlineFallback: "🧩 Se usa el generador sin modelo (--no-offline-fallback para desactivarlo)",
+    offlineInvalid: "❌ El mensaje generado sin modelo no pasa las validaciones; usa el modelo o escríbelo a mano",
+    offlineEmpty: "❌ No hay archivos en los cambios para generar el mensaje sin modelo"
+  }
+};
+
+export { es }
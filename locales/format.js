@@ -0,0 +1,30 @@
+// Lista de tipos permitidos con su descripción, alineada como en las plantillas originales
+function formatTypeList(types, descriptions) {
+  return types
+    .map(type => descriptions[type] ? `${type.padEnd(8)}- ${descriptions[type]}` : type)
+    .join("\n");
+}
+
+// Reglas de Conventional Commits generadas desde la especificación: scope, cambios incompatibles y footers
+function formatConventionalRules(rules, texts, { footers = true } = {}) {
+  const lines = [];
+  if (rules.scopes.length > 0) lines.push(texts.scopeAllowed(rules.scopes.join(", ")));
+  else if (rules.suggestedScopes.length > 0) lines.push(texts.scopeSuggested(rules.suggestedScopes.join(", ")));
+  else lines.push(texts.scopeFree);
+
+  lines.push(texts.breaking);
+  if (footers) lines.push(texts.footers(rules.trailers.map(token => `${token}: ...`).join(", ")));
+
+  return lines.map(line => `• ${line}`).join("\n");
+}
+
+// Sección con los mensajes de ejemplo del historial (vacía si no hay ninguno)
+function formatExamples(examples, heading) {
+  if (examples.length === 0) return "";
+  return `\n\n--- ${heading} ---\n${examples.join("\n\n---\n\n")}`;
+}
+
+// Forma de la respuesta JSON para las plantillas; los textos de ejemplo van como valores
+const formatJson = (shape) => JSON.stringify(shape, null, 2);
+
+export { formatTypeList, formatConventionalRules, formatExamples, formatJson }
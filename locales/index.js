@@ -0,0 +1,61 @@
+import { es } from "./es.js";
+import { en } from "./en.js";
+import { pt } from "./pt.js";
+
+const DEFAULT_LANG = "es";
+
+const LOCALES = { es, en, pt };
+
+// Idioma sin paquete; la CLI arma el mensaje con ui.unsupportedLang
+class UnsupportedLanguageError extends Error {
+  constructor(lang) {
+    super(`${lang}: unsupported language (${Object.keys(LOCALES).join(", ")})`);
+    this.name = "UnsupportedLanguageError";
+    this.lang = lang;
+    this.available = Object.keys(LOCALES);
+  }
+}
+
+// Obtener el paquete de idioma (acepta variantes como "pt-BR" o "en_US")
+function getLocale(lang = DEFAULT_LANG) {
+  const code = String(lang).toLowerCase().split(/[-_]/)[0];
+  const locale = LOCALES[code];
+  if (!locale) throw new UnsupportedLanguageError(lang);
+  return locale;
+}
+
+// Buscar palabras completas: "prefix" no contiene "fix" ni "address" contiene "add"
+const containsWord = (text, word) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![\\p{L}\\p{N}])`, "iu").test(text);
+
+// Quitar lo que no se traduce: código entre backticks, rutas ("src/update.js") y nombres de archivo ("add-user.ts")
+const withoutCode = (text) => text
+  .replace(/`[^`\n]*`/g, " ")
+  .replace(/[^\s()[\]{}"',;:]*[\/\\][^\s()[\]{}"',;:]*/g, " ")
+  .replace(/[\w-]+(?:\.[\w-]+)*\.[A-Za-z][\w]{0,7}\b/g, " ");
+
+// Validar que el mensaje esté escrito en el idioma del paquete (sin contar rutas ni código)
+function validateCommitLanguage(title, body, locale) {
+  const { forbiddenKeywords, expectedKeywords } = locale.validation;
+  title = withoutCode(title);
+  body = withoutCode(body);
+  const fullText = title + ' ' + body;
+
+  // Verificar si contiene palabras prohibidas (de otro idioma)
+  const hasForbidden = forbiddenKeywords.some(keyword => containsWord(fullText, keyword));
+
+  // Verificar si contiene palabras esperadas del idioma
+  const hasExpected = expectedKeywords.some(keyword => containsWord(fullText, keyword));
+
+  // Verificar que el título no esté en otro idioma
+  const isForbiddenTitle = forbiddenKeywords.some(keyword => containsWord(title, keyword));
+
+  return {
+    isValid: !hasForbidden && !isForbiddenTitle,
+    hasExpected,
+    hasForbidden,
+    isForbiddenTitle
+  };
+}
+
+export { LOCALES, DEFAULT_LANG, UnsupportedLanguageError, getLocale, validateCommitLanguage }
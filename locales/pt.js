@@ -0,0 +1,472 @@
+import { formatTypeList, formatConventionalRules, formatExamples, formatJson } from "./format.js";
+
+// Paquete de idioma: portugués
+const pt = {
+  code: "pt",
+  name: "Português",
+
+  systemPrompt: (rules) =>
+    "Você é um especialista em mensagens de commit SOMENTE EM PORTUGUÊS. REGRAS ABSOLUTAS:\n" +
+    "1. TODAS as mensagens devem estar em português, NUNCA em inglês\n" +
+    `2. Título conciso (máx ${rules.titleMaxLength} caracteres) SEM acentos\n` +
+    "3. Corpo explicativo OBRIGATÓRIO em português\n" +
+    "4. Use Conventional Commits: '<tipo>(<scope>): <descrição EM PORTUGUÊS>' (o scope é opcional)\n" +
+    "5. Linguagem clara e técnica com tópicos EM PORTUGUÊS\n" +
+    "6. Referências a issues só vão em footers no final (p. ex. 'Refs: #123'), nunca no título\n" +
+    "7. PROIBIDO usar palavras em inglês como 'add', 'fix', 'update', 'create', etc.\n" +
+    "8. Use verbos no infinitivo em português: 'adicionar', 'corrigir', 'atualizar', 'criar'\n" +
+    "9. Se detectar inglês na sua resposta, CORRIJA imediatamente para o português\n" +
+    "10. VALIDAÇÃO: Cada mensagem deve soar natural em português",
+
+  typeDescriptions: {
+    feat: "Nova funcionalidade",
+    fix: "Correção de erros",
+    docs: "Documentação",
+    style: "Formatação/estrutura",
+    refactor: "Reestruturação sem mudar funcionalidade",
+    perf: "Melhoria de desempenho",
+    test: "Testes",
+    chore: "Manutenção",
+    build: "Sistema de build",
+    ci: "Integração contínua",
+    revert: "Reverter alterações"
+  },
+
+  // Textos de las reglas de Conventional Commits (ver formatConventionalRules)
+  conventional: {
+    scopeAllowed: (list) => `Scope (opcional): SOMENTE um de ${list}`,
+    scopeSuggested: (list) => `Scope (opcional): o módulo afetado, p. ex. ${list} (segundo os caminhos alterados)`,
+    scopeFree: "Scope (opcional): o módulo afetado em minúsculas, p. ex. feat(auth): ...",
+    breaking: "Mudança incompatível: adicione '!' antes de ':' e um footer 'BREAKING CHANGE: <descrição>'",
+    footers: (list) => `Footers (opcionais) no final, após uma linha em branco: ${list}`,
+    examples: "ESTILO DO REPOSITÓRIO (commits recentes: imite seus scopes, tempo verbal e marcadores, mas respeite as regras e o idioma indicados)"
+  },
+
+  // Títulos das seções do Keep a Changelog (tradução oficial)
+  changelog: {
+    unreleased: "Não publicado",
+    added: "Adicionado",
+    changed: "Modificado",
+    deprecated: "Obsoleto",
+    removed: "Removido",
+    fixed: "Corrigido",
+    security: "Segurança",
+    breaking: "INCOMPATÍVEL:"
+  },
+
+  // Frases da mensagem gerada sem modelo (--offline), com os verbos no infinitivo como pedem os prompts
+  heuristic: {
+    added: "adicionar",
+    deleted: "remover",
+    modified: "atualizar",
+    renamed: (from, to) => `renomear ${from} para ${to}`,
+    files: (count) => count === 1 ? "1 arquivo" : `${count} arquivos`,
+    more: (count) => `e mais ${count} arquivos`
+  },
+
+  prompts: {
+    analyzeChunk: (chunk, chunkIndex, totalChunks, rules) => `Analise este fragmento de alterações Git (parte ${chunkIndex + 1} de ${totalChunks}) e responda SOMENTE EM PORTUGUÊS:
+
+--- CONTEXTO ---
+Este é um fragmento de um diff maior. Analise SOMENTE este fragmento e descreva EM PORTUGUÊS:
+1. Tipo principal de alterações (feat, fix, docs, style, refactor, etc.)
+2. Componentes/arquivos afetados
+3. Alterações específicas realizadas
+4. Padrões ou temas recorrentes
+
+--- FRAGMENTO A ANALISAR ---
+${chunk}
+
+--- FORMATO DE RESPOSTA ---
+Responda SOMENTE com este objeto JSON (mantenha as chaves exatamente como estão, valores EM PORTUGUÊS):
+{
+  "tipo_principal": "${rules.types.join('|')}",
+  "componentes": ["componente1", "componente2"],
+  "cambios": [
+    "Alteração específica 1 EM PORTUGUÊS",
+    "Alteração específica 2 EM PORTUGUÊS"
+  ],
+  "contexto": "Breve descrição do propósito geral EM PORTUGUÊS"
+}
+
+IMPORTANTE: Toda a resposta deve estar em português. Não use palavras em inglês.`,
+
+    singleCommit: (diff, rules) => `Gere EXATAMENTE 1 mensagem de commit profissional SOMENTE EM PORTUGUÊS com estas REGRAS ABSOLUTAS:
+
+--- FORMATO DA RESPOSTA (JSON, TUDO EM PORTUGUÊS) ---
+Responda SOMENTE com este objeto JSON; o corpo traz os tópicos separados por quebras de linha:
+${formatJson({
+  title: `<tipo>[(<scope>)][!]: <título em português (max ${rules.titleMaxLength} chars, sem acentos)>`,
+  body: "* <tópico 1 no infinitivo - alteração principal OBRIGATÓRIA>\n* <tópico 2 em português - alteração secundária RELEVANTE se houver>\n* <tópico N em português - detalhes técnicos adicionais NECESSÁRIOS>"
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, pt.conventional)}${formatExamples(rules.examples, pt.conventional.examples)}
+
+--- TIPOS PERMITIDOS (SOMENTE ESTES) ---
+${formatTypeList(rules.types, pt.typeDescriptions)}
+
+--- REGRAS DE IDIOMA ---
+• PROIBIDO usar palavras em inglês como: add, fix, update, create, remove, etc.
+• USE SOMENTE verbos em português: adicionar, corrigir, atualizar, criar, remover, etc.
+• Toda descrição deve estar em português natural
+• Sem acentos no título para compatibilidade
+• Corpo com tópicos detalhados em português
+
+--- ALTERAÇÕES A DOCUMENTAR ---
+${diff}
+
+Gere EXATAMENTE 1 mensagem de commit EM PORTUGUÊS seguindo estas regras.`,
+
+    commitFromAnalysis: (analysis, rules) => `Gere uma mensagem de commit profissional SOMENTE EM PORTUGUÊS com base nesta análise consolidada:
+
+--- ANÁLISE CONSOLIDADA ---
+Tipo principal: ${analysis.tipo_principal}
+Componentes afetados: ${analysis.componentes.join(', ')}
+Alterações realizadas:
+${analysis.cambios.map(c => `- ${c}`).join('\n')}
+
+Contexto geral: ${analysis.contexto_general}
+
+--- FORMATO DA RESPOSTA (JSON, TUDO EM PORTUGUÊS) ---
+Responda SOMENTE com este objeto JSON; o corpo traz os tópicos separados por quebras de linha:
+${formatJson({
+  title: `<tipo>[(<scope>)][!]: <título em português (max ${rules.titleMaxLength} chars, sem acentos)>`,
+  body: "* <tópico 1 em português - alteração mais importante>\n* <tópico 2 em português - alteração secundária relevante>\n* <tópico N em português - detalhes técnicos adicionais>"
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, pt.conventional)}
+
+--- REGRAS ESTRITAS DE IDIOMA ---
+1. Use o tipo principal identificado: ${analysis.tipo_principal}
+2. Título conciso que resuma a alteração geral EM PORTUGUÊS
+3. Tópicos que expliquem as alterações mais importantes EM PORTUGUÊS
+4. Máximo de ${rules.titleMaxLength} caracteres no título
+5. Português sem acentos no título
+6. PROIBIDO usar palavras em inglês
+7. Use verbos no infinitivo: adicionar, corrigir, atualizar, criar, remover
+
+Gere o objeto JSON da mensagem de commit EM PORTUGUÊS:`,
+
+    languageProblem: "a mensagem não está totalmente em português",
+
+    // Grupos do --split: o tipo já foi decidido no plano que o usuário aprovou
+    requiredType: (type) => `
+
+--- TIPO OBRIGATÓRIO ---
+Este commit é um grupo de um plano já aprovado: o título DEVE usar o tipo "${type}".`,
+
+    retryFeedback: (previous, problems) => `
+
+--- CORRIJA A TENTATIVA ANTERIOR ---
+${previous}
+
+Problemas encontrados:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Gere uma resposta NOVA EM PORTUGUÊS, no mesmo formato JSON, que resolva todos estes problemas.`,
+
+    refine: (feedback, message) => `Ajuste esta mensagem de commit conforme o pedido do usuário, mantendo o formato e as regras anteriores:
+
+--- MENSAGEM ATUAL ---
+${message}
+
+--- PEDIDO ---
+${feedback}
+
+Responda somente com o objeto JSON da mensagem completa ("title" e "body") EM PORTUGUÊS.`,
+
+    replaceBullet: (bullet, message) => `Reescreva SOMENTE este tópico da mensagem de commit, com outra abordagem e EM PORTUGUÊS:
+
+--- MENSAGEM ---
+${message}
+
+--- TÓPICO A TROCAR ---
+${bullet}
+
+Responda SOMENTE com este objeto JSON:
+${formatJson({ bullet: "<novo tópico em uma linha, sem '*' no início>" })}`,
+
+    splitPlan: (units, rules) => `Agrupe estas alterações preparadas em commits atômicos e coerentes (um propósito por commit: uma funcionalidade, uma correção, documentação...):
+
+--- UNIDADES DE ALTERAÇÃO ---
+${units}
+
+--- TIPOS PERMITIDOS ---
+${formatTypeList(rules.types, pt.typeDescriptions)}
+
+--- FORMATO DE RESPOSTA ---
+Responda SOMENTE com um objeto JSON com os commits na ordem em que devem ser criados (mantenha as chaves exatamente assim):
+{
+  "commits": [
+    { "tipo": "feat", "unidades": [1, 2] },
+    { "tipo": "docs", "unidades": [3] }
+  ]
+}
+
+Cada unidade deve aparecer em um só grupo. Não separe alterações que dependem entre si.`,
+
+    pullRequest: (commits, { diff, analysis }) => `Escreva o título e a descrição de um pull request SOMENTE EM PORTUGUÊS a partir destes commits e mudanças:
+
+--- COMMITS ---
+${commits}
+
+--- MUDANÇAS ---
+${analysis ? `Tipo principal: ${analysis.tipo_principal}
+Componentes afetados: ${analysis.componentes.join(', ')}
+Mudanças realizadas:
+${analysis.cambios.map(c => `- ${c}`).join('\n')}
+
+Contexto geral: ${analysis.contexto_general}` : diff}
+
+--- FORMATO DA RESPOSTA (JSON, TUDO EM PORTUGUÊS) ---
+Responda SOMENTE com este objeto JSON; a descrição vai em Markdown:
+${formatJson({
+  title: "<título do PR em uma linha, sem '#', máx 72 caracteres>",
+  body: "## Resumo\n<1 a 3 frases: o que muda e por quê>\n\n## Mudanças\n- <mudança principal>\n- <outras mudanças relevantes>\n\n## Como testar\n- <passos ou verificações para revisar o PR>"
+})}`,
+
+    branchName: ({ task, diff }, numOptions, rules) => `Sugira EXATAMENTE ${numOptions} nomes de branch Git para ${task ? "esta tarefa" : "estas mudanças"}:
+
+--- ${task ? "TAREFA" : "MUDANÇAS"} ---
+${task || diff}
+
+--- TIPOS PERMITIDOS ---
+${formatTypeList(rules.types, pt.typeDescriptions)}
+
+--- FORMATO DA RESPOSTA ---
+Responda SOMENTE com um objeto JSON com ${numOptions} opções; "scope" é opcional (string vazia se não se aplica) e "description" tem de 2 a 5 palavras EM PORTUGUÊS:
+${formatJson({
+  branches: [
+    { type: "feat", scope: "auth", description: "login com google" },
+    { type: "fix", scope: "", description: "validacao de email" }
+  ]
+})}`,
+
+    listCommits: (diff, numOptions, rules) => `Gere EXATAMENTE ${numOptions} opções de mensagens de commit SEMÂNTICAS SOMENTE EM PORTUGUÊS para estas alterações:
+
+--- ALTERAÇÕES PARA COMMIT ---
+${diff}
+
+--- FORMATO DA RESPOSTA (JSON, TUDO EM PORTUGUÊS) ---
+Responda SOMENTE com um objeto JSON com ${numOptions} opções; cada corpo traz os tópicos separados por quebras de linha:
+${formatJson({
+  options: [{ title: "<tipo>[(<scope>)][!]: <título EM PORTUGUÊS>", body: "<corpo com tópicos EM PORTUGUÊS>" }]
+})}
+
+--- CONVENTIONAL COMMITS ---
+${formatConventionalRules(rules, pt.conventional, { footers: false })}${formatExamples(rules.examples, pt.conventional.examples)}
+
+Exemplo de uma opção correta:
+${formatJson({
+  title: "feat: Implementar autenticacao biometrica",
+  body: "* Adicionar suporte a impressao digital\n* Integrar API do FaceID\n* Criar testes de seguranca"
+})}
+
+--- REGRAS ESTRITAS DE IDIOMA ---
+• PROIBIDO usar palavras em inglês como: add, fix, update, create, remove, etc.
+• USE SOMENTE verbos em português: adicionar, corrigir, atualizar, criar, remover, etc.
+• Toda descrição deve estar em português natural
+• Sem acentos no título para compatibilidade
+• Corpo com tópicos detalhados em português
+
+Gere ${numOptions} opções diferentes EM PORTUGUÊS:`
+  },
+
+  validation: {
+    forbiddenKeywords: [
+      'add', 'added', 'adding', 'create', 'created', 'creating', 'update', 'updated', 'updating',
+      'fix', 'fixed', 'fixing', 'remove', 'removed', 'removing', 'delete', 'deleted', 'deleting',
+      'implement', 'implemented', 'implementing', 'improve', 'improved', 'improving',
+      'refactor', 'refactored', 'refactoring', 'change', 'changed', 'changing',
+      'modify', 'modified', 'modifying', 'enhance', 'enhanced', 'enhancing'
+    ],
+    expectedKeywords: [
+      'adicionar', 'criar', 'atualizar', 'corrigir', 'resolver', 'remover', 'excluir',
+      'implementar', 'melhorar', 'refatorar', 'alterar', 'modificar', 'otimizar',
+      'configurar', 'integrar', 'desenvolver'
+    ]
+  },
+
+  ui: {
+    apiKeyPrompt: (label) => `🔑 Informe sua API key do ${label}:`,
+    apiKeyInvalid: "Deve ser uma chave válida",
+    notGitRepo: "⚠️ Não é um repositório Git",
+    noStagedChanges: "ℹ️  Não há alterações preparadas (use 'git add .' primeiro)",
+    analyzing: "🧠 Analisando alterações...",
+    estimatedTokens: (tokens, limit) => `📊 Tokens estimados: ${tokens} (limite ${limit})`,
+    fitsSingleRequest: "✅ O diff cabe em uma única requisição",
+    splittingChunks: "🔄 Diff muito longo, dividindo em chunks...",
+    chunksCreated: (count) => `📦 Dividido em ${count} chunks`,
+    analyzingChunks: (count) => `🔍 Analisando ${count} chunks...`,
+    chunkAnalyzed: (done, total) => `   ✔ Chunk ${done}/${total} analisado`,
+    chunkProgress: (done, total, tokens) => `${done}/${total} chunks analisados (~${tokens} tokens recebidos)`,
+    optionProgress: (done, total, tokens) => `${done}/${total} opções geradas (~${tokens} tokens recebidos)`,
+    consolidating: "🔄 Consolidando análise...",
+    chunkNotJson: (index) => `⚠️ Resposta do chunk ${index} não é JSON válido, processando manualmente...`,
+    chunkFallbackComponent: "codigo",
+    chunkFallbackChange: (index) => `Alterações no fragmento ${index}`,
+    listTooLong: "⚠️ Diff muito longo para gerar várias opções, usando análise por chunks...",
+    commitGenerated: "✅ Commit gerado em português corretamente",
+    attemptWrongLanguage: (attempt) => `⚠️ Tentativa ${attempt}: mensagem contém inglês, gerando novamente em português...`,
+    forbiddenWordsDetected: "   - Palavras em inglês detectadas",
+    forbiddenTitleDetected: "   - Título em inglês detectado",
+    attemptBadFormat: (attempt) => `⚠️ Tentativa ${attempt}: mensagem fora do formato, tentando novamente...`,
+    generationFailed: (attempts) => `❌ Não foi possível gerar uma mensagem válida em português após ${attempts} tentativas.`,
+    noValidOptions: "❌ Não foi possível gerar opções válidas em português",
+    optionsGenerated: (count) => `✅ Geradas ${count} opções em português`,
+    regenerate: "♻️ Gerar mensagens novamente",
+    chooseMessage: "Escolha uma mensagem:",
+    generatedMessage: "💡 Mensagem gerada:",
+    cancelled: "🚫 Operação cancelada",
+    creatingCommit: "Criando commit... 🚀",
+    commitCreated: "✅ Commit criado com sucesso",
+    hookUsage: "Uso: CommitGhiranAi hook install|uninstall [--force]",
+    hookMissingFile: "⚠️ Falta o caminho do arquivo de mensagem do commit",
+    hookInstalled: (hookPath) => `✅ Hook prepare-commit-msg instalado em ${hookPath}`,
+    hookExists: (hookPath) => `⚠️ Já existe um hook em ${hookPath}. Use --force para substituí-lo (um backup será mantido)`,
+    hooksDirInvalid: (hooksDir) => `⚠️ ${hooksDir} não é um diretório: verifique core.hooksPath na configuração do git`,
+    hookBackedUp: (backupPath) => `📦 Hook anterior salvo em ${backupPath}`,
+    hookUninstalled: (hookPath) => `✅ Hook removido de ${hookPath}`,
+    hookBackupRestored: "♻️ O hook anterior foi restaurado",
+    hookMissing: (hookPath) => `ℹ️  Não há hook instalado em ${hookPath}`,
+    hookForeign: (hookPath) => `⚠️ O hook em ${hookPath} não foi criado pelo CommitGhiranAi, não será removido`,
+    apiError: (detail) => `❌ Erro na API: ${detail}`,
+    commitFailed: "❌ git commit terminou com erro",
+    retrying: (attempt, max, seconds, reason) => `⏳ Tentativa ${attempt}/${max} em ${seconds}s: ${reason}`,
+    configUsage: "Uso: CommitGhiranAi config list | get <chave> | set <chave> <valor> [--project]",
+    configUnknownKey: (key) => `⚠️ Chave de configuração desconhecida: ${key}`,
+    configSaved: (key, value, file) => `✅ ${key} = ${value} salvo em ${file}`,
+    // Erros dos provedores conforme o código (ver ProviderError em providers/errors.js)
+    providerErrors: {
+      timeout: ({ label }) => `${label} não respondeu a tempo`,
+      network: ({ label, baseURL, detail }) => `Não foi possível conectar a ${label}${baseURL ? ` (${baseURL} está disponível?)` : ""}: ${detail}`,
+      auth: ({ label, detail }) => `${label} rejeitou a API key: ${detail}`,
+      model_not_found: ({ label, detail }) => `Modelo ou endpoint não encontrado em ${label}: ${detail}`,
+      rate_limit: ({ label, detail }) => `Limite de requisições atingido em ${label}: ${detail}`,
+      context_length: ({ label, detail }) => `O diff excede o contexto do modelo em ${label}: ${detail}`,
+      server: ({ label, status, detail }) => `Erro do servidor de ${label}${status ? ` (${status})` : ""}: ${detail}`,
+      bad_response: ({ label }) => `Resposta inesperada de ${label}`,
+      unknown_provider: ({ label, detail }) => `Provedor desconhecido: ${label}. Disponíveis: ${detail}`,
+      unknown: ({ label, status, detail }) => `Erro na API de ${label}${status ? ` (${status})` : ""}: ${detail}`
+    },
+    unsupportedLang: (lang, available) => `⚠️ Idioma não suportado: ${lang}. Disponíveis: ${available.join(", ")}`,
+    modelsHeader: (label, baseURL) => `📚 Modelos conhecidos de ${label} (${baseURL}):`,
+    modelsDefault: (model) => `  - ${model} (padrão)`,
+    // Erros de configuração conforme a regra não cumprida (ver ConfigError em config.js)
+    invalidConfig: (where, detail) => `⚠️ Configuração inválida${where ? ` (${where})` : ""}: ${detail}`,
+    configReadFailed: (file, reason) => `⚠️ Não foi possível ler ${file}: ${reason}`,
+    configSources: { env: "variáveis de ambiente", flag: "flags" },
+    configIssues: {
+      unknownKey: ({ key }) => `chave desconhecida "${key}"`,
+      string: ({ key }) => `${key} deve ser um texto`,
+      enum: ({ key, values }) => `${key} deve ser um de: ${values.join(", ")}`,
+      pattern: ({ key, value }) => `${key} não é válido: ${value}`,
+      number: ({ key }) => `${key} deve ser um número`,
+      integer: ({ key }) => `${key} deve ser um inteiro`,
+      range: ({ key, min, max }) => `${key} deve estar entre ${min} e ${max ?? "∞"}`,
+      boolean: ({ key }) => `${key} deve ser true ou false`,
+      list: ({ key }) => `${key} deve ser uma lista de textos`,
+      listPattern: ({ key, values }) => `${key} contém valores inválidos: ${values.join(", ")}`,
+      empty: ({ key }) => `${key} não pode estar vazio`,
+      regex: ({ key, value }) => `${key} contém uma expressão regular inválida: ${value}`,
+      map: ({ key }) => `${key} deve ser um objeto tipo → gitmoji`,
+      gitmoji: ({ key, name, value }) => `${key}: gitmoji desconhecido para "${name}": ${value}`
+    },
+    missingApiKey: (envVar) => `⚠️ Falta a API key: defina ${envVar} ou execute "CommitGhiranAi auth login"`,
+    keySaved: (label, name, where) => `✅ Chave "${name}" do ${label} salva em ${where}`,
+    keyRemoved: (label, name) => `🗑️ Chave "${name}" do ${label} removida`,
+    keyNotFound: (label, name) => `ℹ️  Não há uma chave "${name}" salva para ${label}`,
+    keysMigrated: (providers, backend) => `🔐 Chaves de ${providers} movidas de ~/.commitconfig.json para o armazenamento seguro (${backend})`,
+    keyFromEnv: (envVar) => `${envVar} definida`,
+    backendKeyring: "o chaveiro do sistema (secret-tool)",
+    backendFile: (file) => `${file} (permissões 0600)`,
+    authBackend: (where) => `🔐 As chaves são salvas em ${where}`,
+    authUsage: "Uso: CommitGhiranAi auth login|logout|status [--provider <p>] [--key-name <nome>] [--all]",
+    issueRequired: (branch) => `🎫 É necessário um ticket: ${branch ? `a branch "${branch}"` : "a branch atual"} não contém nenhum. Use --issue <ID>`,
+    lintViolation: (rule, message) => `   - ${message} [${rule}]`,
+    commitlintLoaded: (file) => `📏 Usando as regras do commitlint de ${file}`,
+    commitlintUnresolved: (names) => `⚠️ Não foi possível carregar ${names} (extends do commitlint), ignorando`,
+    commitlintFailed: (detail) => `⚠️ Não foi possível ler a configuração do commitlint: ${detail}`,
+    reviewAction: "O que você quer fazer?",
+    actionCommit: "✅ Criar o commit",
+    actionEditor: "📝 Editar no $EDITOR",
+    actionEditTitle: "✏️  Editar o título",
+    actionRefine: "💬 Pedir alterações ao modelo",
+    actionBullet: "🔀 Trocar um tópico",
+    actionCancel: "🚫 Cancelar",
+    titlePrompt: "Título:",
+    refinePrompt: "O que deve mudar? (p. ex. \"mais curto\", \"mencione a migração\")",
+    chooseBullet: "Qual tópico você quer trocar?",
+    editorEmpty: "⚠️ A mensagem editada está vazia, mantendo a anterior",
+    refining: "💬 Ajustando a mensagem...",
+    splitPlanning: "🧩 Agrupando as alterações em commits...",
+    splitFallback: "⚠️ Não foi possível ler o agrupamento do modelo, agrupando por tipo de arquivo",
+    splitGroupMessage: (index, total, files) => `📝 Commit ${index}/${total}: ${files}`,
+    splitPlanTitle: (count) => `🧩 Plano com ${count} commits:`,
+    splitAccept: (count) => `✅ Criar ${count} commits`,
+    splitMove: "↕️  Mudar a ordem",
+    splitChooseGroup: "Qual commit você quer mover?",
+    splitChoosePosition: "Para qual posição?",
+    splitApplying: (index, total, title) => `🚀 [${index}/${total}] ${title}`,
+    splitFailed: (detail) => `❌ Não foi possível preparar o commit: ${detail}`,
+    splitRestored: "↩️  Os commits foram desfeitos e o índice foi restaurado",
+    splitDone: (count) => `✅ ${count} commits criados`,
+    amendNoCommit: "⚠️ Não há nenhum commit para corrigir",
+    amendCurrent: (title) => `✏️  Mensagem atual: ${title}`,
+    rewriteProtected: (branch) => `🛡️ A branch "${branch}" está protegida (protectedBranches). Use --force para reescrever o histórico`,
+    rewritePublished: (remotes) => `🛡️ Os commits já estão publicados em ${remotes}. Use --force para reescrevê-los (depois será preciso push --force)`,
+    rewordUsage: "Uso: CommitGhiranAi reword <intervalo> [--dry-run] [--force] [--yes]  (ex.: HEAD~3 ou main..feature)",
+    rewordInvalidRange: (range) => `⚠️ Intervalo de commits inválido: ${range}`,
+    rewordEmpty: (range) => `ℹ️  O intervalo ${range} não contém commits`,
+    rewordNotInHead: (range) => `⚠️ Os commits de ${range} devem estar na branch atual`,
+    rewordMerges: "⚠️ O intervalo contém merges; só é possível reescrever commits sem merges",
+    rewordGenerating: (index, total, sha, title) => `📝 [${index}/${total}] ${sha} ${title}`,
+    rewordBefore: "antes",
+    rewordAfter: "depois",
+    rewordConfirm: (count) => `Reescrever ${count} commits com as novas mensagens?`,
+    rewordDone: (count, backup) => `✅ ${count} mensagens reescritas (para desfazer: git reset --keep ${backup})`,
+    prUsage: "Uso: CommitGhiranAi pr [--base <branch>] [--json]",
+    prNoBase: "⚠️ Não foi encontrada a branch base (origin/HEAD, main ou master). Use --base <branch>",
+    prInvalidBase: (base) => `⚠️ Nenhum ancestral comum encontrado com ${base}`,
+    prNoCommits: (base) => `ℹ️  Não há commits novos em relação a ${base}`,
+    prSummarizing: (count, base) => `📝 Resumindo ${count} commits em relação a ${base}...`,
+    changelogUsage: "Uso: CommitGhiranAi changelog [<de>..<até>] [--version <versão>] [--json]",
+    changelogInvalidRange: (range) => `⚠️ Intervalo de commits inválido: ${range}`,
+    changelogEmpty: (range) => `ℹ️  O intervalo ${range} não contém entradas para o changelog`,
+    branchNoSource: "ℹ️  Não há mudanças. Descreva a tarefa: CommitGhiranAi branch \"login com google\"",
+    branchGenerating: "🌿 Gerando nomes de branch...",
+    branchNone: "❌ O modelo não retornou nomes de branch válidos",
+    branchChoose: "Escolha o nome da branch:",
+    branchRegenerate: "♻️ Gerar outros nomes",
+    branchCustom: "✏️  Digitar outro nome",
+    branchCustomPrompt: "Nome da branch:",
+    branchInvalid: (name) => `"${name}" não é um nome de branch válido`,
+    branchTaken: (name) => `A branch "${name}" já existe`,
+    branchSwitch: (name) => `Criar a branch ${name} e mudar para ela?`,
+    branchSwitched: (name) => `✅ Agora você está na branch ${name}`,
+    branchSwitchFailed: (name) => `❌ git switch -c ${name} terminou com erro`,
+    styleExamples: (count) => `📚 Usando ${count} commits do histórico como referência de estilo`,
+    costEstimate: (requests, tokens, cost) => `💰 Custo estimado: ${requests} requisição(ões), ~${tokens} tokens, ${cost ?? "preço desconhecido (configure priceInput e priceOutput)"}`,
+    costConfirm: (cost) => `Isto custará aproximadamente ${cost}. Deseja continuar 💸?`,
+    costAboveThreshold: (cost, threshold) => `💸 O custo estimado (${cost}) atinge o limite configurado (${threshold}). Use --yes para continuar sem confirmar`,
+    usageUsage: "Uso: CommitGhiranAi usage [--days <n>] [--all] [--json]",
+    usageEmpty: (days) => `📭 Nenhum uso registrado nos últimos ${days} dias`,
+    usageHeading: (repo, days) => `📈 Uso de ${repo} nos últimos ${days} dias:\n`,
+    usageAllRepos: "todos os repositórios",
+    usageColumns: { date: "Data", repo: "Repositório", model: "Modelo", requests: "Requisições", input: "Tokens entrada", output: "Tokens saída", cost: "Custo" },
+    usageTotal: "Total",
+    usageEstimated: (count) => `\nℹ️ ${count} requisição(ões) sem tokens informados pela API: estimados com o tokenizador`,
+    usageUnpriced: (count) => `ℹ️ ${count} requisição(ões) de modelos sem preço conhecido não entram no custo (?)`,
+    cachedResponse: "♻️ Resposta reutilizada do cache",
+    cacheCleared: (count, dir) => `🧹 ${count} resposta(s) removida(s) do cache (${dir})`,
+    cacheUsage: "Uso: CommitGhiranAi cache clear",
+    offlineGenerating: "🧩 Gerando a mensagem a partir do diff sem modelo...",
+    offlineFallback: "🧩 Usando o gerador sem modelo (--no-offline-fallback para desativá-lo)",
+    offlineInvalid: "❌ A mensagem gerada sem modelo não passa nas validações; use o modelo ou escreva-a à mão",
+    offlineEmpty: "❌ Não há arquivos nas alterações para gerar a mensagem sem modelo"
+  }
+};
+
+export { pt }
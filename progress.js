@@ -0,0 +1,60 @@
+// Indicadores de avance en la terminal mientras el modelo responde (streaming)
+const SPINNER = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+// Con más partes que esto sólo se muestra el contador
+const MAX_MARKERS = 30;
+
+// Mensaje que se va escribiendo a medida que llega la respuesta; render convierte el texto
+// recibido hasta ahora en lo que se muestra y sólo se escribe lo que se agrega al final
+function createMessagePreview(render, output = process.stdout) {
+  let shown = "";
+
+  return {
+    update(text) {
+      const next = render(text);
+      if (next.length <= shown.length || !next.startsWith(shown)) return;
+      output.write(next.slice(shown.length));
+      shown = next;
+    },
+    end() {
+      if (shown) output.write("\n");
+      shown = "";
+    }
+  };
+}
+
+// Una línea que se reescribe con el estado de cada parte (· pendiente, spinner recibiendo, ✔ lista)
+// y el texto de format(terminadas, total, tokens recibidos)
+function createChunkProgress(total, format, output = process.stdout) {
+  const states = Array(total).fill(-1);
+  let done = 0;
+  let tokens = 0;
+
+  const marker = (state) => state === -1 ? "·" : state === Infinity ? "✔" : SPINNER[state % SPINNER.length];
+
+  const draw = () => {
+    const markers = total <= MAX_MARKERS ? `${states.map(marker).join("")} ` : "";
+    output.write(`\r\x1b[K   ${markers}${format(done, total, tokens)}`);
+  };
+
+  draw();
+
+  return {
+    token(index) {
+      if (states[index] === Infinity) return;
+      states[index]++;
+      tokens++;
+      draw();
+    },
+    done(index) {
+      states[index] = Infinity;
+      done++;
+      draw();
+    },
+    end() {
+      output.write("\n");
+    }
+  };
+}
+
+export { createMessagePreview, createChunkProgress }
@@ -0,0 +1,104 @@
+import axios from "axios";
+import { ProviderError, mapHttpError } from "./errors.js";
+import { readServerSentEvents, readErrorBody } from "./sse.js";
+
+const ANTHROPIC_VERSION = "2023-06-01";
+const MAX_OUTPUT_TOKENS = 1024;
+
+// Texto (o JSON de la herramienta) y tokens de una respuesta en streaming
+async function readMessageStream(stream, onToken) {
+  let text = "";
+  const usage = {};
+
+  for await (const event of readServerSentEvents(stream)) {
+    if (event.type === "message_start") {
+      Object.assign(usage, event.message?.usage);
+    } else if (event.type === "message_delta") {
+      Object.assign(usage, event.usage);
+    } else if (event.type === "content_block_delta") {
+      const delta = event.delta?.type === "input_json_delta" ? event.delta.partial_json : event.delta?.text;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    } else if (event.type === "error") {
+      const code = event.error?.type === "overloaded_error" ? "server" : undefined;
+      const detail = event.error?.message ?? "";
+      throw new ProviderError(`Anthropic: ${detail}`, { code, provider: "anthropic", label: "Anthropic", detail });
+    }
+  }
+
+  return { text, usage };
+}
+
+const anthropic = {
+  name: "anthropic",
+  label: "Anthropic",
+  baseURL: "https://api.anthropic.com/v1",
+  envVar: "ANTHROPIC_API_KEY",
+  requiresApiKey: true,
+  models: ["claude-3-5-haiku-latest", "claude-3-5-sonnet-latest", "claude-3-7-sonnet-latest"],
+  defaultModel: "claude-3-5-haiku-latest",
+
+  // schema: la respuesta estructurada se pide como una herramienta obligatoria con ese esquema
+  // onToken: streaming, recibe cada fragmento a medida que llega
+  async chat({ messages, model, temperature, apiKey, baseURL = anthropic.baseURL, timeout = 30000, onUsage, schema, onToken }) {
+    // Anthropic recibe el prompt de sistema aparte de los mensajes
+    const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+    const conversation = messages.filter(m => m.role !== "system");
+
+    const body = { model, system, messages: conversation, temperature, max_tokens: MAX_OUTPUT_TOKENS };
+    if (schema) {
+      body.tools = [{ name: schema.name, input_schema: schema.schema }];
+      body.tool_choice = { type: "tool", name: schema.name };
+    }
+    if (onToken) body.stream = true;
+
+    try {
+      const response = await axios.post(
+        `${baseURL.replace(/\/$/, "")}/messages`,
+        body,
+        {
+          headers: {
+            "x-api-key": apiKey,
+            "anthropic-version": ANTHROPIC_VERSION,
+            "Content-Type": "application/json"
+          },
+          timeout,
+          responseType: onToken ? "stream" : "json"
+        }
+      );
+
+      let text, usage;
+      if (onToken) {
+        ({ text, usage } = await readMessageStream(response.data, onToken));
+      } else {
+        const blocks = response.data?.content || [];
+        const toolUse = blocks.find(block => block.type === "tool_use");
+        text = toolUse
+          ? JSON.stringify(toolUse.input)
+          : blocks.filter(block => block.type === "text").map(block => block.text).join("");
+        usage = response.data.usage;
+      }
+      if (!text) {
+        throw new ProviderError("Anthropic: bad response", { code: "bad_response", provider: "anthropic", label: "Anthropic" });
+      }
+
+      if (usage && onUsage) {
+        onUsage({ promptTokens: usage.input_tokens ?? 0, completionTokens: usage.output_tokens ?? 0, cost: null });
+      }
+      return text;
+    } catch (error) {
+      if (onToken) await readErrorBody(error);
+      throw anthropic.mapError(error, { baseURL });
+    }
+  },
+
+  // overloaded_error (529) y "prompt is too long" quedan como server y context_length en el mapeo base
+  mapError(error, context) {
+    if (error instanceof ProviderError) return error;
+    return mapHttpError(error, anthropic, context);
+  }
+};
+
+export { anthropic }
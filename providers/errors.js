@@ -0,0 +1,72 @@
+// Error normalizado que devuelven todos los proveedores; el texto para el usuario lo arma la CLI
+// en su idioma a partir de code, label, status, detail y baseURL (ver ui.providerErrors)
+class ProviderError extends Error {
+  constructor(message, { code = "unknown", status = null, retryAfter = null, provider = null, label = null, detail = "", baseURL = null, cause } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+    this.label = label;
+    this.detail = detail;
+    this.baseURL = baseURL;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Convierte la cabecera Retry-After (segundos o fecha HTTP) a milisegundos
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Mapeo base de errores HTTP/red comunes a todos los proveedores
+function mapHttpError(error, provider, { baseURL } = {}) {
+  const label = provider.label;
+  const base = { provider: provider.name, label, baseURL, cause: error };
+
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return new ProviderError(`${label}: ${error.message}`, { ...base, code: "timeout", detail: error.message });
+  }
+
+  if (!error.response) {
+    return new ProviderError(`${label}: ${error.message}`, { ...base, code: "network", detail: error.message });
+  }
+
+  const { status, headers = {}, data } = error.response;
+  const detail = extractErrorDetail(data) || error.message;
+  const message = `${label} (${status}): ${detail}`;
+  const options = { ...base, status, detail };
+
+  if (status === 401 || status === 403) {
+    return new ProviderError(message, { ...options, code: "auth" });
+  }
+  if (status === 404) {
+    return new ProviderError(message, { ...options, code: "model_not_found" });
+  }
+  if (status === 429) {
+    return new ProviderError(message, { ...options, code: "rate_limit", retryAfter: parseRetryAfter(headers["retry-after"]) });
+  }
+  if (/context|too long|maximum.*tokens/i.test(detail)) {
+    return new ProviderError(message, { ...options, code: "context_length" });
+  }
+  if (status >= 500) {
+    return new ProviderError(message, { ...options, code: "server" });
+  }
+
+  return new ProviderError(message, options);
+}
+
+// Extrae el mensaje de error de las distintas formas de respuesta
+function extractErrorDetail(data) {
+  if (!data) return "";
+  if (typeof data === "string") return data;
+  if (typeof data.error === "string") return data.error;
+  return data.error?.message || data.message || JSON.stringify(data);
+}
+
+export { ProviderError, mapHttpError, parseRetryAfter }
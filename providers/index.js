@@ -0,0 +1,47 @@
+import { openrouter } from "./openrouter.js";
+import { openai, ollama, llamacpp, vllm } from "./openai.js";
+import { anthropic } from "./anthropic.js";
+import { ProviderError } from "./errors.js";
+
+const DEFAULT_PROVIDER = "openrouter";
+
+const PROVIDERS = { openrouter, openai, anthropic, ollama, llamacpp, vllm };
+
+// Obtener un adaptador por nombre
+function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[String(name).toLowerCase()];
+  if (!provider) {
+    // label es el nombre pedido y detail los disponibles (ver ui.providerErrors.unknown_provider)
+    const available = Object.keys(PROVIDERS).join(", ");
+    throw new ProviderError(`${name}: unknown provider (${available})`, {
+      code: "unknown_provider",
+      label: String(name),
+      detail: available
+    });
+  }
+  return provider;
+}
+
+// Crear un cliente listo para usar con el modelo, URL y key resueltos
+function createClient({ provider: name, model, baseURL, apiKey, temperature = 0.7, timeout }) {
+  const provider = getProvider(name);
+  const resolvedModel = model || provider.defaultModel;
+  const resolvedBaseURL = baseURL || provider.baseURL;
+
+  return {
+    provider,
+    model: resolvedModel,
+    baseURL: resolvedBaseURL,
+    chat: (messages, options = {}) => provider.chat({
+      messages,
+      model: resolvedModel,
+      baseURL: resolvedBaseURL,
+      apiKey,
+      temperature,
+      timeout,
+      ...options
+    })
+  };
+}
+
+export { PROVIDERS, DEFAULT_PROVIDER, getProvider, createClient, ProviderError }
@@ -0,0 +1,41 @@
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+
+const openai = createOpenAICompatibleProvider({
+  name: "openai",
+  label: "OpenAI",
+  baseURL: "https://api.openai.com/v1",
+  envVar: "OPENAI_API_KEY",
+  models: ["gpt-4o-mini", "gpt-4o", "gpt-4.1-mini", "gpt-4.1"],
+  defaultModel: "gpt-4o-mini"
+});
+
+// Servidores locales compatibles con OpenAI: la API key es opcional
+const ollama = createOpenAICompatibleProvider({
+  name: "ollama",
+  label: "Ollama",
+  baseURL: "http://localhost:11434/v1",
+  envVar: "OLLAMA_API_KEY",
+  requiresApiKey: false,
+  models: ["qwen2.5-coder", "llama3.1", "mistral"],
+  defaultModel: "qwen2.5-coder"
+});
+
+const llamacpp = createOpenAICompatibleProvider({
+  name: "llamacpp",
+  label: "llama.cpp server",
+  baseURL: "http://localhost:8080/v1",
+  envVar: "LLAMACPP_API_KEY",
+  requiresApiKey: false,
+  defaultModel: "default"
+});
+
+const vllm = createOpenAICompatibleProvider({
+  name: "vllm",
+  label: "vLLM",
+  baseURL: "http://localhost:8000/v1",
+  envVar: "VLLM_API_KEY",
+  requiresApiKey: false,
+  defaultModel: "Qwen/Qwen2.5-Coder-7B-Instruct"
+});
+
+export { openai, ollama, llamacpp, vllm }
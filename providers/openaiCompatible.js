@@ -0,0 +1,106 @@
+import axios from "axios";
+import { ProviderError, mapHttpError } from "./errors.js";
+import { readServerSentEvents, readErrorBody } from "./sse.js";
+
+const isUnsupportedSchemaError = (error) =>
+  error.response?.status === 400 && /response_format|json_schema|structured/i.test(JSON.stringify(error.response.data ?? ""));
+
+// Fábrica para cualquier servidor con la API /chat/completions de OpenAI
+// (OpenAI, OpenRouter, Ollama, llama.cpp server, vLLM...)
+function createOpenAICompatibleProvider({
+  name,
+  label,
+  baseURL,
+  envVar = null,
+  requiresApiKey = true,
+  models = [],
+  defaultModel,
+  extraHeaders = {},
+  extraBody = {}
+}) {
+  // Pasa a false si el servidor rechaza response_format con esquema
+  let schemaSupported = true;
+
+  const provider = {
+    name,
+    label,
+    baseURL,
+    envVar,
+    requiresApiKey,
+    models,
+    defaultModel,
+
+    // onUsage recibe los tokens (y el costo, si lo informa) de cada respuesta
+    // schema ({ name, schema }) pide la respuesta como JSON con ese esquema (response_format)
+    // onToken activa el streaming y recibe cada fragmento del texto a medida que llega
+    async chat(request) {
+      const { messages, model, temperature, apiKey, baseURL: url = baseURL, timeout = 30000, onUsage, schema, onToken } = request;
+      const headers = { "Content-Type": "application/json", ...extraHeaders };
+      if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+
+      const body = { model, messages, temperature, ...extraBody };
+      if (schema && schemaSupported) {
+        body.response_format = { type: "json_schema", json_schema: { name: schema.name, schema: schema.schema, strict: true } };
+      }
+      if (onToken) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+      }
+
+      try {
+        const response = await axios.post(`${url.replace(/\/$/, "")}/chat/completions`, body, {
+          headers,
+          timeout,
+          responseType: onToken ? "stream" : "json"
+        });
+
+        let content, usage;
+        if (onToken) {
+          content = "";
+          for await (const event of readServerSentEvents(response.data)) {
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              onToken(delta);
+            }
+            if (event.usage) usage = event.usage;
+          }
+        } else {
+          content = response.data?.choices?.[0]?.message?.content;
+          usage = response.data.usage;
+        }
+
+        if (typeof content !== "string") {
+          throw new ProviderError(`${label}: bad response`, { code: "bad_response", provider: name, label });
+        }
+
+        if (usage && onUsage) {
+          onUsage({
+            promptTokens: usage.prompt_tokens ?? 0,
+            completionTokens: usage.completion_tokens ?? 0,
+            cost: typeof usage.cost === "number" ? usage.cost : null
+          });
+        }
+        return content;
+      } catch (error) {
+        if (onToken) await readErrorBody(error);
+
+        // Servidores o modelos sin salida estructurada: repetir sin response_format (el prompt ya pide JSON)
+        if (body.response_format && isUnsupportedSchemaError(error)) {
+          schemaSupported = false;
+          return provider.chat(request);
+        }
+        throw provider.mapError(error, { baseURL: url });
+      }
+    },
+
+    mapError(error, context) {
+      if (error instanceof ProviderError) return error;
+      return mapHttpError(error, provider, context);
+    }
+  };
+
+  return provider;
+}
+
+export { createOpenAICompatibleProvider }
@@ -0,0 +1,24 @@
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+
+const openrouter = createOpenAICompatibleProvider({
+  name: "openrouter",
+  label: "OpenRouter",
+  baseURL: "https://openrouter.ai/api/v1",
+  envVar: "OPENROUTER_API_KEY",
+  models: [
+    "openai/gpt-oss-20b:free",
+    "qwen/qwen3-coder:free",
+    "qwen/qwen-2.5-72b-instruct",
+    "anthropic/claude-3.5-haiku",
+    "openai/gpt-4o-mini"
+  ],
+  defaultModel: "openai/gpt-oss-20b:free",
+  extraHeaders: {
+    "HTTP-Referer": "https://github.com",
+    "X-Title": "AI Commit"
+  },
+  // OpenRouter informa el costo real de cada solicitud en usage.cost
+  extraBody: { usage: { include: true } }
+});
+
+export { openrouter }
@@ -0,0 +1,40 @@
+// Eventos de una respuesta en streaming (text/event-stream): se entrega el JSON de cada línea "data:"
+async function* readServerSentEvents(stream) {
+  stream.setEncoding("utf8");
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, end).trim();
+      buffer = buffer.slice(end + 1);
+      if (!line.startsWith("data:")) continue;
+
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // Comentarios o líneas que no son JSON
+      }
+    }
+  }
+}
+
+// Con responseType "stream" el cuerpo de un error HTTP también llega como stream: leerlo para el mensaje
+async function readErrorBody(error) {
+  const data = error.response?.data;
+  if (!data || typeof data.on !== "function") return;
+
+  let text = "";
+  try {
+    data.setEncoding("utf8");
+    for await (const chunk of data) text += chunk;
+    error.response.data = JSON.parse(text);
+  } catch {
+    error.response.data = text;
+  }
+}
+
+export { readServerSentEvents, readErrorBody }
@@ -0,0 +1,111 @@
+import { execFileSync } from "child_process";
+
+// Árbol vacío de git: base del diff del primer commit del repositorio
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// Los argumentos van sin shell: el rango de reword viene del usuario.
+// --end-of-options evita que una revisión que empieza con "-" se lea como opción de git
+const git = (gitArgs, options = {}) => execFileSync("git", gitArgs, { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"], ...options });
+
+// Separador de campos de git log
+const SEP = "%x00";
+
+// Datos de un commit necesarios para regenerar su mensaje y volver a crearlo
+function readCommit(rev) {
+  const format = ["%H", "%P", "%an", "%ae", "%ad", "%B"].join(SEP);
+  const [sha, parents, name, email, date, message] = git(["log", "-1", "--date=raw", `--format=${format}`, "--end-of-options", rev]).split("\0");
+  return {
+    sha,
+    parents: parents.split(" ").filter(Boolean),
+    author: { name, email, date },
+    title: message.split("\n")[0],
+    message: message.trim()
+  };
+}
+
+// HEAD actual (null en una rama sin commits)
+function resolveHead() {
+  try {
+    return git(["rev-parse", "-q", "--verify", "HEAD"]).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Cambios que introdujo el commit respecto a su primer padre
+const commitDiff = (commit) => git(["diff", commit.parents[0] || EMPTY_TREE, commit.sha], { maxBuffer: 64 * 1024 * 1024 });
+
+// Contenido del commit que dejaría "git commit --amend": el padre de HEAD contra el índice
+function amendDiff() {
+  const { parents } = readCommit("HEAD");
+  return git(["diff", "--cached", parents[0] || EMPTY_TREE], { maxBuffer: 64 * 1024 * 1024 });
+}
+
+// Commits de un rango, del más antiguo al más nuevo ("HEAD~3" equivale a "HEAD~3..HEAD", como en rebase)
+function resolveRange(range) {
+  const spec = range.includes("..") ? range : `${range}..HEAD`;
+  const shas = git(["rev-list", "--reverse", "--topo-order", "--end-of-options", spec]).split("\n").filter(Boolean);
+  return shas.map(readCommit);
+}
+
+const isAncestorOfHead = (sha) => {
+  try {
+    git(["merge-base", "--is-ancestor", "--end-of-options", sha, "HEAD"]);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Commits que hay que volver a crear: desde el más antiguo del rango hasta HEAD
+function commitsToReplay(oldest) {
+  const base = oldest.parents[0];
+  return git(["rev-list", "--reverse", "--topo-order", `${base ? `${base}..` : ""}HEAD`]).split("\n").filter(Boolean).map(readCommit);
+}
+
+// Ramas remotas que ya contienen el commit (si hay alguna, está publicado)
+const publishedIn = (sha) =>
+  git(["for-each-ref", `--contains=${sha}`, "--format=%(refname:short)", "refs/remotes"]).split("\n").filter(Boolean);
+
+// "release/*" protege todas las ramas release/...
+const matchesBranch = (branch, pattern) =>
+  new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`).test(branch);
+
+const isProtectedBranch = (branch, patterns) => Boolean(branch) && patterns.some(pattern => matchesBranch(branch, pattern));
+
+// Volver a crear la historia desde el commit más antiguo con los mensajes nuevos;
+// los árboles no cambian, así que el índice y el directorio de trabajo quedan igual
+function rewriteMessages(commits, messages) {
+  const head = resolveHead();
+  const replaced = new Map();
+
+  for (const commit of commits) {
+    const tree = git(["rev-parse", `${commit.sha}^{tree}`]).trim();
+    const parents = commit.parents.flatMap(parent => ["-p", replaced.get(parent) || parent]);
+    const env = {
+      ...process.env,
+      GIT_AUTHOR_NAME: commit.author.name,
+      GIT_AUTHOR_EMAIL: commit.author.email,
+      GIT_AUTHOR_DATE: commit.author.date
+    };
+    const message = messages.get(commit.sha) ?? commit.message;
+    replaced.set(commit.sha, git(["commit-tree", tree, ...parents, "-F", "-"], { input: `${message}\n`, env }).trim());
+  }
+
+  const newHead = replaced.get(head);
+  git(["update-ref", "-m", "CommitGhiranAi: reword", "HEAD", newHead, head]);
+  return { head, newHead, replaced };
+}
+
+export {
+  readCommit,
+  resolveHead,
+  commitDiff,
+  amendDiff,
+  resolveRange,
+  isAncestorOfHead,
+  commitsToReplay,
+  publishedIn,
+  isProtectedBranch,
+  rewriteMessages
+}
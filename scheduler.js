@@ -0,0 +1,69 @@
+// Códigos de ProviderError que vale la pena reintentar
+const RETRYABLE_CODES = ["rate_limit", "timeout", "network", "server"];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableError = (error) => RETRYABLE_CODES.includes(error?.code);
+
+// Espera antes del reintento: Retry-After si el proveedor lo envía,
+// si no backoff exponencial con jitter, siempre limitado a maxDelay
+function getRetryDelay(error, attempt, { baseDelay, maxDelay }) {
+  if (typeof error?.retryAfter === "number") {
+    return Math.min(error.retryAfter, maxDelay);
+  }
+  const exponential = baseDelay * 2 ** attempt;
+  const jitter = Math.random() * baseDelay;
+  return Math.min(exponential + jitter, maxDelay);
+}
+
+// Cola de solicitudes con concurrencia limitada y reintentos por solicitud
+function createScheduler({
+  concurrency = 2,
+  retries = 3,
+  baseDelay = 1000,
+  maxDelay = 30000,
+  isRetryable = isRetryableError,
+  onRetry = () => {}
+} = {}) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    const { task, options, resolve, reject } = queue.shift();
+    active++;
+
+    execute(task, options)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const execute = async (task, { retries: maxRetries = retries } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await task();
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) throw error;
+
+        const delay = getRetryDelay(error, attempt, { baseDelay, maxDelay });
+        onRetry({ error, attempt: attempt + 1, maxRetries, delay });
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    // Encolar una tarea asíncrona; opciones: { retries }
+    run(task, options = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, options, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+export { RETRYABLE_CODES, createScheduler, isRetryableError }
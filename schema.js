@@ -0,0 +1,137 @@
+// Esquemas JSON de las respuestas del modelo. Se envían como response_format (OpenAI y compatibles)
+// o como herramienta (Anthropic); con los demás sólo los describe el prompt y se validan al leerlos
+const string = { type: "string" };
+const strings = { type: "array", items: string };
+
+// Todas las propiedades obligatorias y sin extras (requisito del modo estricto de OpenAI)
+const object = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+const commitMessage = object({ title: string, body: string });
+
+const SCHEMAS = {
+  commit: { name: "commit_message", schema: commitMessage },
+  commitList: { name: "commit_messages", schema: object({ options: { type: "array", items: commitMessage } }) },
+  chunkAnalysis: {
+    name: "chunk_analysis",
+    schema: object({ tipo_principal: string, componentes: strings, cambios: strings, contexto: string })
+  },
+  bullet: { name: "commit_bullet", schema: object({ bullet: string }) },
+  splitPlan: {
+    name: "split_plan",
+    schema: object({ commits: { type: "array", items: object({ tipo: string, unidades: { type: "array", items: { type: "integer" } } }) } })
+  },
+  pullRequest: { name: "pull_request", schema: object({ title: string, body: string }) },
+  branchNames: {
+    name: "branch_names",
+    schema: object({ branches: { type: "array", items: object({ type: string, scope: string, description: string }) } })
+  }
+};
+
+// Primer objeto JSON completo del texto (el modelo puede agregar texto antes o después)
+function findJsonObject(text) {
+  const start = text.indexOf("{");
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === "\"") inString = false;
+    } else if (char === "\"") {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// Leer la respuesta aunque venga en un bloque de código, rodeada de texto o con comas finales;
+// devuelve undefined si no hay JSON
+function parseJsonResponse(text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, "$1").trim();
+  const candidates = [unfenced, findJsonObject(unfenced)].filter(Boolean);
+
+  for (const candidate of candidates) {
+    for (const source of [candidate, candidate.replace(/,\s*([}\]])/g, "$1")]) {
+      try {
+        return JSON.parse(source);
+      } catch {
+        // Probar la siguiente variante
+      }
+    }
+  }
+  return undefined;
+}
+
+const typeOf = (value) => Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+const matchesType = (value, type) =>
+  type === "integer" ? Number.isInteger(value) : typeOf(value) === type;
+
+// Errores del valor respecto al esquema, en el mismo estilo que las reglas de commitlint
+function validateSchema(value, schema, path = "response") {
+  if (!matchesType(value, schema.type)) return [`${path} must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`];
+
+  if (schema.type === "array") {
+    return value.flatMap((item, index) => validateSchema(item, schema.items, `${path}[${index}]`));
+  }
+  if (schema.type !== "object") return [];
+
+  const missing = schema.required
+    .filter(key => value[key] === undefined)
+    .map(key => `${path}.${key} is required`);
+  const invalid = Object.entries(schema.properties)
+    .filter(([key]) => value[key] !== undefined)
+    .flatMap(([key, property]) => validateSchema(value[key], property, `${path}.${key}`));
+  return [...missing, ...invalid];
+}
+
+// Leer y validar una respuesta; errors va al feedback de los reintentos
+function readStructuredResponse(text, { schema }) {
+  let data = parseJsonResponse(text);
+  if (data === undefined) return { data: null, errors: ["response must be a single JSON object"] };
+
+  // Algunos modelos devuelven directamente la lista en lugar del objeto que la contiene
+  const keys = Object.keys(schema.properties);
+  if (Array.isArray(data) && keys.length === 1 && schema.properties[keys[0]].type === "array") {
+    data = { [keys[0]]: data };
+  }
+
+  const errors = validateSchema(data, schema);
+  return { data: errors.length === 0 ? data : null, errors };
+}
+
+// Valores de texto de una respuesta JSON que todavía se está recibiendo (streaming):
+// lo que ya llegó de cada clave, aunque la cadena no esté cerrada ("" si aún no aparece)
+function readPartialStrings(text, keys) {
+  return Object.fromEntries(keys.map(key => {
+    const match = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+    if (!match) return [key, ""];
+
+    // Quitar un escape \u cortado a la mitad antes de interpretarlo
+    const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, "");
+    try {
+      return [key, JSON.parse(`"${raw}"`)];
+    } catch {
+      return [key, raw];
+    }
+  }));
+}
+
+export {
+  SCHEMAS,
+  parseJsonResponse,
+  validateSchema,
+  readStructuredResponse,
+  readPartialStrings
+}
@@ -0,0 +1,152 @@
+import { execSync } from "child_process";
+import { parseDiff, filePath, fileHeaderText, hunkText, summarizeFile } from "./diffParser.js";
+
+// Líneas de cada unidad que se muestran al modelo para agruparlas
+const PREVIEW_LINES = 6;
+
+// Categorías de la agrupación sin modelo: el primer patrón que coincide decide el grupo
+const FALLBACK_GROUPS = [
+  { type: "docs", pattern: /(^|\/)(docs?\/|README|CHANGELOG|LICENSE)|\.(md|mdx|rst)$/i },
+  { type: "test", pattern: /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[jt]sx?$/i },
+  { type: "ci", pattern: /^\.(github|gitlab|circleci)\/|(^|\/)\.gitlab-ci\.yml$/ },
+  { type: "build", pattern: /(^|\/)(package(-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|Dockerfile|Makefile|tsconfig[^/]*\.json)$/ },
+  { type: null, pattern: /.*/ }
+];
+
+// El parche se maneja byte a byte (latin1) para no corromper archivos que no son UTF-8
+const RAW_ENCODING = "latin1";
+
+const toUtf8 = (text) => Buffer.from(text, RAW_ENCODING).toString("utf8");
+
+const git = (command, options = {}) => execSync(`git ${command}`, { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"], ...options });
+
+// Cambios preparados completos, incluidos los binarios, tal como se vuelven a aplicar
+const readStagedPatch = () => git("diff --cached --binary", { encoding: RAW_ENCODING });
+
+// Separar el diff crudo por archivo (los parches binarios se conservan tal cual)
+function splitRawFiles(diff) {
+  return diff.split(/^(?=diff --git )/m).filter(part => part.startsWith("diff --git "));
+}
+
+// Unidades que se pueden commitear por separado: cada hunk, o el archivo entero si es
+// binario, nuevo, borrado, renombrado o sólo cambia de modo
+function buildUnits(rawDiff) {
+  const rawFiles = splitRawFiles(rawDiff);
+  const units = [];
+
+  parseDiff(rawDiff).forEach((file, index) => {
+    const path = filePath(file);
+    const whole = file.binary || file.hunks.length <= 1 || file.status !== "modified";
+
+    if (whole) {
+      const patch = rawFiles[index].replace(/\n*$/, "\n");
+      units.push({ id: units.length + 1, path, patch, summary: summarizeFile(file), preview: file.hunks.flatMap(hunk => hunk.lines) });
+      return;
+    }
+
+    for (const hunk of file.hunks) {
+      units.push({
+        id: units.length + 1,
+        path,
+        patch: `${fileHeaderText(file)}\n${hunkText(hunk)}\n`,
+        summary: `${hunk.header} ${summarizeFile({ ...file, additions: hunk.additions, deletions: hunk.deletions })}`,
+        preview: hunk.lines
+      });
+    }
+  });
+
+  return units;
+}
+
+// Texto con el que se describe cada unidad en el prompt de agrupación
+const describeUnit = (unit) => {
+  const changed = unit.preview.filter(line => /^[+-]/.test(line)).slice(0, PREVIEW_LINES);
+  return toUtf8([`[${unit.id}] ${unit.summary}`, ...changed.map(line => `    ${line}`)].join("\n"));
+};
+
+// Categoría de una ruta (docs, test, ci, build) o null si es código
+const pathCategory = (path) => FALLBACK_GROUPS.find(group => group.pattern.test(path)).type;
+
+// Agrupación sin modelo: documentación, tests, CI y build por separado del resto
+function fallbackPlan(units) {
+  const groups = new Map();
+  for (const unit of units) {
+    const type = pathCategory(unit.path);
+    if (!groups.has(type)) groups.set(type, { type, units: [] });
+    groups.get(type).units.push(unit);
+  }
+  return [...groups.values()];
+}
+
+// Grupos del plan del modelo (lista "commits" de la respuesta: [{ "tipo": "feat", "unidades": [1, 2] }, ...])
+// Cada unidad se asigna una sola vez; las que falten forman un grupo más
+function parsePlan(plan, units) {
+  const byId = new Map(units.map(unit => [unit.id, unit]));
+  const used = new Set();
+  const groups = [];
+
+  for (const entry of plan) {
+    const ids = Array.isArray(entry?.unidades) ? entry.unidades : [];
+    const groupUnits = ids.map(Number).filter(id => byId.has(id) && !used.has(id)).map(id => {
+      used.add(id);
+      return byId.get(id);
+    });
+    if (groupUnits.length > 0) groups.push({ type: typeof entry.tipo === "string" ? entry.tipo : null, units: groupUnits });
+  }
+
+  const missing = units.filter(unit => !used.has(unit.id));
+  if (missing.length > 0) groups.push({ type: null, units: missing });
+
+  return groups.length > 0 ? groups : null;
+}
+
+// Parche de un grupo, con las unidades en el orden del diff original
+const groupPatch = (group) => [...group.units].sort((a, b) => a.id - b.id).map(unit => unit.patch).join("");
+
+// Diff del grupo para el modelo
+const groupDiff = (group) => toUtf8(groupPatch(group));
+
+const groupFiles = (group) => [...new Set(group.units.map(unit => unit.path))];
+
+// Commit actual (null en una rama sin commits)
+function currentHead() {
+  try {
+    return git("rev-parse -q --verify HEAD").trim();
+  } catch {
+    return null;
+  }
+}
+
+// Estado a restaurar si se aborta: árbol del índice y HEAD
+const snapshotRepository = () => ({ tree: git("write-tree").trim(), head: currentHead() });
+
+// Dejar en el índice sólo el grupo: HEAD actual más su parche
+function stageGroup(group) {
+  git(currentHead() ? "read-tree HEAD" : "read-tree --empty");
+  git("apply --cached --whitespace=nowarn -", { input: Buffer.from(groupPatch(group), RAW_ENCODING) });
+}
+
+// Al terminar, lo que no haya entrado en ningún commit sigue preparado
+const restoreIndex = ({ tree }) => git(`read-tree ${tree}`);
+
+// Deshacer los commits creados por la división y volver al índice original
+function restoreRepository({ tree, head }) {
+  if (head) git(`reset -q --soft ${head}`);
+  else git("update-ref -d HEAD");
+  restoreIndex({ tree });
+}
+
+export {
+  readStagedPatch,
+  buildUnits,
+  describeUnit,
+  pathCategory,
+  fallbackPlan,
+  parsePlan,
+  groupDiff,
+  groupFiles,
+  snapshotRepository,
+  stageGroup,
+  restoreIndex,
+  restoreRepository
+}
@@ -0,0 +1,52 @@
+import * as o200k from "gpt-tokenizer/encoding/o200k_base";
+import * as cl100k from "gpt-tokenizer/encoding/cl100k_base";
+
+const ENCODINGS = { o200k_base: o200k, cl100k_base: cl100k };
+
+// Los diffs pueden contener textos como "<|endoftext|>": se cuentan como texto normal
+const ENCODE_OPTIONS = { disallowedSpecial: new Set() };
+
+// Tokens reservados para la respuesta del modelo
+const RESERVED_COMPLETION_TOKENS = 1024;
+
+// Perfiles por familia de modelo. Para modelos sin tokenizador público se usa
+// cl100k_base y `ratio` compensa que su tokenizador real produce más tokens.
+const MODEL_PROFILES = [
+  { match: /gpt-4\.1/, encoding: "o200k_base", contextWindow: 1047576, ratio: 1 },
+  { match: /gpt-oss/, encoding: "o200k_base", contextWindow: 131072, ratio: 1 },
+  { match: /gpt-4o|(^|\/)o[134](-|$)/, encoding: "o200k_base", contextWindow: 128000, ratio: 1 },
+  { match: /claude/, encoding: "cl100k_base", contextWindow: 200000, ratio: 1.2 },
+  { match: /qwen3-coder/, encoding: "cl100k_base", contextWindow: 262144, ratio: 1.1 },
+  { match: /qwen/, encoding: "cl100k_base", contextWindow: 32768, ratio: 1.1 },
+  { match: /llama-?3/, encoding: "cl100k_base", contextWindow: 131072, ratio: 1.1 },
+  { match: /mistral|mixtral/, encoding: "cl100k_base", contextWindow: 32768, ratio: 1.25 }
+];
+
+// Perfil conservador para modelos desconocidos (p. ej. servidores locales)
+const DEFAULT_PROFILE = { encoding: "cl100k_base", contextWindow: 8192, ratio: 1.25 };
+
+// Obtener el perfil de tokenización de un modelo
+function getModelProfile(model = "") {
+  const id = String(model).toLowerCase();
+  return MODEL_PROFILES.find(profile => profile.match.test(id)) || DEFAULT_PROFILE;
+}
+
+// Contar tokens de un texto para el modelo indicado
+function countTokens(text, model) {
+  if (!text) return 0;
+  const { encoding, ratio } = getModelProfile(model);
+  return Math.ceil(ENCODINGS[encoding].countTokens(text, ENCODE_OPTIONS) * ratio);
+}
+
+// Presupuesto de tokens de un modelo: ventana de contexto menos la respuesta reservada
+function getTokenBudget(model, { contextWindow, reservedCompletion = RESERVED_COMPLETION_TOKENS } = {}) {
+  const window = Number(contextWindow) || getModelProfile(model).contextWindow;
+
+  return {
+    contextWindow: window,
+    reservedCompletion,
+    maxPromptTokens: window - reservedCompletion
+  };
+}
+
+export { RESERVED_COMPLETION_TOKENS, getModelProfile, countTokens, getTokenBudget }
@@ -0,0 +1,73 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+
+const USAGE_DIR = path.join(homedir(), ".commitghiran");
+const USAGE_FILE = path.join(USAGE_DIR, "usage.json");
+
+// Fecha local AAAA-MM-DD
+const localDate = (date = new Date()) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, "0")).join("-");
+
+// Registro: repositorio → día → "proveedor/modelo" → totales
+function readLedger() {
+  if (!existsSync(USAGE_FILE)) return { repos: {} };
+  try {
+    return JSON.parse(readFileSync(USAGE_FILE, "utf8"));
+  } catch {
+    return { repos: {} };
+  }
+}
+
+// Acumular una solicitud. estimated: la API no informó los tokens; cost null: precio desconocido
+function recordUsage({ repo, provider, model, promptTokens, completionTokens, cost = null, estimated = false, date = localDate() }) {
+  const ledger = readLedger();
+  const days = (ledger.repos[repo] ??= {});
+  const models = (days[date] ??= {});
+  const entry = (models[`${provider}/${model}`] ??= {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    cost: 0,
+    estimated: 0,
+    unpriced: 0
+  });
+
+  entry.requests++;
+  entry.promptTokens += promptTokens;
+  entry.completionTokens += completionTokens;
+  if (cost === null) entry.unpriced++;
+  else entry.cost += cost;
+  if (estimated) entry.estimated++;
+
+  mkdirSync(USAGE_DIR, { recursive: true, mode: 0o700 });
+  writeFileSync(USAGE_FILE, JSON.stringify(ledger, null, 2), "utf8");
+}
+
+// Filas por repositorio, día y modelo desde una fecha (null: todos los repositorios), más recientes primero
+function summarizeUsage(ledger, { repo = null, since = null } = {}) {
+  const rows = [];
+  for (const [repoPath, days] of Object.entries(ledger.repos)) {
+    if (repo && repoPath !== repo) continue;
+    for (const [date, models] of Object.entries(days)) {
+      if (since && date < since) continue;
+      for (const [model, entry] of Object.entries(models)) rows.push({ repo: repoPath, date, model, ...entry });
+    }
+  }
+  rows.sort((a, b) => b.date.localeCompare(a.date) || a.repo.localeCompare(b.repo) || a.model.localeCompare(b.model));
+
+  const totals = rows.reduce((sum, row) => {
+    for (const key of ["requests", "promptTokens", "completionTokens", "cost", "estimated", "unpriced"]) sum[key] += row[key];
+    return sum;
+  }, { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: 0, unpriced: 0 });
+
+  return { rows, totals };
+}
+
+export {
+  USAGE_FILE,
+  localDate,
+  readLedger,
+  recordUsage,
+  summarizeUsage
+}